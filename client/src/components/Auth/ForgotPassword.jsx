@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import './Auth.css';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { requestPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    setLoading(true);
+
+    const result = await requestPasswordReset(email);
+
+    if (result.success) {
+      setSuccess(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-left">
+        <div className="auth-left-content">
+          <div className="auth-logo">🔑</div>
+          <h1>Locked Out?</h1>
+          <p>It happens. We'll email you a link to choose a new password.</p>
+        </div>
+      </div>
+
+      <div className="auth-right">
+        <div className="auth-form">
+          {loading && (
+            <div className="loading-overlay">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+
+          <h2>Forgot Password</h2>
+          <p>Enter the email address you signed up with</p>
+
+          {error && <div className="error-message">{error}</div>}
+          {success && <div className="success-message">{success}</div>}
+
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                disabled={loading}
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <button type="submit" disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+
+          <p className="auth-link">
+            Remembered it? <Link to="/login">Back to sign in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPassword;
@@ -10,8 +10,12 @@ function Login() {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login } = useAuth();
+  const { login, verifyTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -30,6 +34,8 @@ function Login() {
     
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     } else {
       setError(result.message);
     }
@@ -37,6 +43,32 @@ function Login() {
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleBackToLogin = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <div className="auth-container">
       <div className="auth-left">
@@ -81,48 +113,105 @@ function Login() {
             </div>
           )}
           
-          <h2>Sign In</h2>
-          <p>Enter your credentials to access your account</p>
-          
-          {error && <div className="error-message">{error}</div>}
-          
-          <form onSubmit={handleSubmit}>
-            <div className="form-group">
-              <label htmlFor="email">Email Address</label>
-              <input
-                type="email"
-                id="email"
-                name="email"
-                value={formData.email}
-                onChange={handleChange}
-                required
-                disabled={loading}
-                placeholder="Enter your email"
-              />
-            </div>
-            
-            <div className="form-group">
-              <label htmlFor="password">Password</label>
-              <input
-                type="password"
-                id="password"
-                name="password"
-                value={formData.password}
-                onChange={handleChange}
-                required
-                disabled={loading}
-                placeholder="Enter your password"
-              />
-            </div>
-            
-            <button type="submit" disabled={loading}>
-              {loading ? 'Signing In...' : 'Sign In'}
-            </button>
-          </form>
-          
-          <p className="auth-link">
-            Don't have an account? <Link to="/register">Create one here</Link>
-          </p>
+          {challengeToken ? (
+            <>
+              <h2>Two-Factor</h2>
+              <p>
+                {useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </p>
+
+              {error && <div className="error-message">{error}</div>}
+
+              <form onSubmit={handleTwoFactorSubmit}>
+                <div className="form-group">
+                  <label htmlFor="twoFactorCode">{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+                  <input
+                    type="text"
+                    id="twoFactorCode"
+                    name="twoFactorCode"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    required
+                    autoFocus
+                    autoComplete="one-time-code"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    disabled={loading}
+                    placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  />
+                  <button
+                    type="button"
+                    className="forgot-password-link link-button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setTwoFactorCode('');
+                    }}
+                  >
+                    {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+                  </button>
+                </div>
+
+                <button type="submit" disabled={loading}>
+                  {loading ? 'Verifying...' : 'Verify'}
+                </button>
+              </form>
+
+              <p className="auth-link">
+                <button type="button" className="link-button" onClick={handleBackToLogin}>
+                  Back to sign in
+                </button>
+              </p>
+            </>
+          ) : (
+            <>
+              <h2>Sign In</h2>
+              <p>Enter your credentials to access your account</p>
+
+              {error && <div className="error-message">{error}</div>}
+
+              <form onSubmit={handleSubmit}>
+                <div className="form-group">
+                  <label htmlFor="email">Email Address</label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    required
+                    disabled={loading}
+                    placeholder="Enter your email"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    required
+                    disabled={loading}
+                    placeholder="Enter your password"
+                  />
+                  <Link to="/forgot-password" className="forgot-password-link">
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <button type="submit" disabled={loading}>
+                  {loading ? 'Signing In...' : 'Sign In'}
+                </button>
+              </form>
+
+              <p className="auth-link">
+                Don't have an account? <Link to="/register">Create one here</Link>
+              </p>
+            </>
+          )}
         </div>
       </div>
     </div>
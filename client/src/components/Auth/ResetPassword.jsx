@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import './Auth.css';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const resetToken = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const { resetPassword } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    const result = await resetPassword(resetToken, formData.password);
+
+    if (result.success) {
+      setSuccess(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-left">
+        <div className="auth-left-content">
+          <div className="auth-logo">🔒</div>
+          <h1>New Password</h1>
+          <p>Pick something you haven't used before. Every device signed in with your old password will be signed out.</p>
+        </div>
+      </div>
+
+      <div className="auth-right">
+        <div className="auth-form">
+          {loading && (
+            <div className="loading-overlay">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+
+          <h2>Reset Password</h2>
+          <p>Choose a new password for your account</p>
+
+          {!resetToken && (
+            <div className="error-message">This reset link is missing its token. Request a new one.</div>
+          )}
+          {error && <div className="error-message">{error}</div>}
+
+          {success ? (
+            <>
+              <div className="success-message">{success}</div>
+              <p className="auth-link">
+                <Link to="/login">Sign in</Link>
+              </p>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label htmlFor="password">New Password</label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  minLength={6}
+                  disabled={loading || !resetToken}
+                  placeholder="At least 6 characters"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm Password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  required
+                  disabled={loading || !resetToken}
+                  placeholder="Repeat your new password"
+                />
+              </div>
+
+              <button type="submit" disabled={loading || !resetToken}>
+                {loading ? 'Resetting...' : 'Reset Password'}
+              </button>
+            </form>
+          )}
+
+          {!success && (
+            <p className="auth-link">
+              Link expired? <Link to="/forgot-password">Request a new one</Link>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
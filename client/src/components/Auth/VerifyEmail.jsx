@@ -0,0 +1,61 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import './Auth.css';
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const verificationToken = searchParams.get('token');
+  const [status, setStatus] = useState(verificationToken ? 'verifying' : 'error');
+  const [message, setMessage] = useState(
+    verificationToken ? '' : 'This verification link is missing its token.'
+  );
+  // Tokens are single-use, so make sure the request only goes out once
+  const requestedRef = useRef(false);
+
+  const { user, verifyEmail } = useAuth();
+
+  useEffect(() => {
+    if (!verificationToken || requestedRef.current) return;
+    requestedRef.current = true;
+
+    verifyEmail(verificationToken).then(result => {
+      setStatus(result.success ? 'verified' : 'error');
+      setMessage(result.success ? 'Your email address is verified.' : result.message);
+    });
+  }, [verificationToken, verifyEmail]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-left">
+        <div className="auth-left-content">
+          <div className="auth-logo">✉️</div>
+          <h1>Verify Email</h1>
+          <p>Confirming your email address keeps your account recoverable.</p>
+        </div>
+      </div>
+
+      <div className="auth-right">
+        <div className="auth-form">
+          <h2>Email Verification</h2>
+
+          {status === 'verifying' && <p>Verifying your email address...</p>}
+          {status === 'verified' && <div className="success-message">{message}</div>}
+          {status === 'error' && <div className="error-message">{message}</div>}
+
+          {status !== 'verifying' && (
+            <p className="auth-link">
+              {user ? (
+                <Link to="/dashboard">Go to TopicChat</Link>
+              ) : (
+                <Link to="/login">Sign in</Link>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
@@ -5,13 +5,18 @@ import { useAuth } from '../../contexts/AuthContext';
 import MessageList from './MessageList';
 import MessageInput from './MessageInput';
 import TypingIndicator from './TypingIndicator';
+import ThreadPanel from './ThreadPanel';
+import MemberPanel from './MemberPanel';
+import PinnedMessages from './PinnedMessages';
+import { isDirectConversation, getConversationName, canPinMessages } from '../../utils/conversations';
 import './Chat.css';
 
 function ChatArea({ topic }) {
-  const { loadMessages, clearMessages, currentTopic } = useChat();
+  const { loadMessages, clearMessages, currentTopic, pinnedMessages } = useChat();
   const { joinTopic, leaveTopic, connected } = useSocket();
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
+  const [showPinned, setShowPinned] = useState(false);
 
   useEffect(() => {
     if (topic && topic._id) {
@@ -24,6 +29,7 @@ function ChatArea({ topic }) {
 
       // Load messages
       setLoading(true);
+      setShowPinned(false);
       loadMessages(topicId).finally(() => {
         setLoading(false);
       });
@@ -64,15 +70,31 @@ function ChatArea({ topic }) {
     <div className="chat-area">
       <div className="chat-header">
         <div className="chat-info">
-          <h2>{topic.name}</h2>
-          {topic.description && (
-            <p className="chat-description">{topic.description}</p>
+          {isDirectConversation(topic) ? (
+            <>
+              <h2>{getConversationName(topic, user?.id)}</h2>
+              <p className="chat-description">
+                {topic.members.length > 2 ? 'Group conversation' : 'Direct message'}
+              </p>
+            </>
+          ) : (
+            <>
+              <h2>{topic.name}</h2>
+              {topic.description && (
+                <p className="chat-description">{topic.description}</p>
+              )}
+            </>
           )}
         </div>
         <div className="chat-meta">
-          <span className="member-count">
-            {topic.members?.length || 0} member{(topic.members?.length || 0) !== 1 ? 's' : ''}
-          </span>
+          <button
+            className={`pinned-toggle ${showPinned ? 'active' : ''}`}
+            onClick={() => setShowPinned(!showPinned)}
+            title="Pinned messages"
+          >
+            📌 {pinnedMessages.length}
+          </button>
+          <MemberPanel topic={topic} />
           <div className={`connection-status ${connected ? 'connected' : 'disconnected'}`}>
             <span className="status-dot"></span>
             {connected ? 'Connected' : 'Disconnected'}
@@ -80,10 +102,20 @@ function ChatArea({ topic }) {
         </div>
       </div>
 
-      <div className="chat-content">
-        <MessageList />
-        <TypingIndicator />
-        <MessageInput />
+      <div className="chat-body">
+        <div className="chat-content">
+          <MessageList />
+          <TypingIndicator />
+          <MessageInput />
+        </div>
+        {showPinned && (
+          <PinnedMessages
+            topic={topic}
+            canUnpin={canPinMessages(topic, user?.id)}
+            onClose={() => setShowPinned(false)}
+          />
+        )}
+        <ThreadPanel />
       </div>
     </div>
   );
@@ -0,0 +1,177 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTopic } from '../../contexts/TopicContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { isDirectConversation } from '../../utils/conversations';
+import './Chat.css';
+
+function MemberPanel({ topic }) {
+  const { transferOwnership, addAdmin, removeAdmin, removeMember } = useTopic();
+  const { user } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [error, setError] = useState('');
+  const panelRef = useRef(null);
+
+  // Close the panel when clicking outside of it
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const members = topic.members || [];
+  const ownerId = topic.creator?._id || topic.creator;
+  const adminIds = (topic.admins || []).map(admin => admin._id || admin);
+
+  const isOwner = (memberId) => memberId === ownerId;
+  const isAdmin = (memberId) => adminIds.includes(memberId);
+
+  const currentUserIsOwner = topic.type !== 'direct' && isOwner(user?.id);
+  // Direct conversations have no roles to manage
+  const currentUserIsAdmin = topic.type !== 'direct' && isAdmin(user?.id);
+
+  const runAction = async (memberId, action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+
+    setPendingAction(memberId);
+    setError('');
+
+    const result = await action(topic._id, memberId);
+    if (!result.success) {
+      setError(result.message);
+    }
+
+    setPendingAction(null);
+  };
+
+  const getRoleLabel = (memberId) => {
+    // Direct conversations have no roles, everyone in them is equal
+    if (isDirectConversation(topic)) return null;
+    if (isOwner(memberId)) return 'Owner';
+    if (isAdmin(memberId)) return 'Admin';
+    return null;
+  };
+
+  // Sort owner first, then admins, then everyone else alphabetically
+  const sortedMembers = [...members].sort((a, b) => {
+    const rank = (member) => (isOwner(member._id) ? 0 : isAdmin(member._id) ? 1 : 2);
+    return rank(a) - rank(b) || a.username.localeCompare(b.username);
+  });
+
+  return (
+    <div className="member-panel" ref={panelRef}>
+      <button
+        className="member-count member-panel-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Manage members"
+      >
+        👥 {members.length} member{members.length !== 1 ? 's' : ''}
+      </button>
+
+      {isOpen && (
+        <div className="member-panel-dropdown">
+          <div className="member-panel-header">Members</div>
+
+          {error && <div className="member-panel-error">{error}</div>}
+
+          <ul className="member-list">
+            {sortedMembers.map(member => {
+              const role = getRoleLabel(member._id);
+              const isSelf = member._id === user?.id;
+              const busy = pendingAction === member._id;
+
+              return (
+                <li key={member._id} className="member-row">
+                  <div className="member-identity">
+                    <div className="message-avatar">
+                      {member.avatar ? (
+                        <img src={member.avatar} alt={member.username} />
+                      ) : (
+                        <div className="avatar-placeholder">
+                          {member.username.charAt(0).toUpperCase()}
+                        </div>
+                      )}
+                    </div>
+                    <span className="member-name">
+                      {member.username}
+                      {isSelf && <span className="member-you"> (you)</span>}
+                    </span>
+                    {role && <span className={`member-role member-role-${role.toLowerCase()}`}>{role}</span>}
+                  </div>
+
+                  {!isSelf && !isOwner(member._id) && currentUserIsAdmin && (
+                    <div className="member-actions">
+                      {!isAdmin(member._id) && (
+                        <button
+                          onClick={() => runAction(member._id, addAdmin)}
+                          disabled={busy}
+                          title="Make admin"
+                        >
+                          ⬆️
+                        </button>
+                      )}
+                      {isAdmin(member._id) && currentUserIsOwner && (
+                        <button
+                          onClick={() => runAction(member._id, removeAdmin)}
+                          disabled={busy}
+                          title="Remove admin"
+                        >
+                          ⬇️
+                        </button>
+                      )}
+                      {currentUserIsOwner && (
+                        <button
+                          onClick={() => runAction(
+                            member._id,
+                            transferOwnership,
+                            `Transfer ownership of "${topic.name}" to ${member.username}? You will remain an admin.`
+                          )}
+                          disabled={busy}
+                          title="Transfer ownership"
+                        >
+                          👑
+                        </button>
+                      )}
+                      {(!isAdmin(member._id) || currentUserIsOwner) && (
+                        <button
+                          onClick={() => runAction(
+                            member._id,
+                            removeMember,
+                            `Remove ${member.username} from "${topic.name}"?`
+                          )}
+                          disabled={busy}
+                          title="Remove from topic"
+                        >
+                          🚫
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {isSelf && currentUserIsAdmin && !currentUserIsOwner && (
+                    <div className="member-actions">
+                      <button
+                        onClick={() => runAction(member._id, removeAdmin, 'Step down as admin?')}
+                        disabled={busy}
+                        title="Step down as admin"
+                      >
+                        ⬇️
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MemberPanel;
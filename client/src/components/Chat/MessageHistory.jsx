@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useChat } from '../../contexts/ChatContext';
+import { diffWords } from '../../utils/diff';
+import './Chat.css';
+
+function MessageHistory({ messageId, onClose }) {
+  const { fetchMessageHistory } = useChat();
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      const result = await fetchMessageHistory(messageId);
+      if (result.success) {
+        setHistory(result.history);
+      } else {
+        setError(result.message);
+      }
+    };
+
+    loadHistory();
+  }, [messageId, fetchMessageHistory]);
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  // Oldest revision first, current content last
+  const versions = history
+    ? [
+      ...history.revisions.map(revision => ({
+        content: revision.content,
+        writtenAt: revision.writtenAt
+      })),
+      history.current
+    ]
+    : [];
+
+  // Rendered on <body> so the message bubble's layout doesn't leak into the modal
+  return createPortal(
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content history-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Edit History</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="history-body">
+          {error && <div className="error-message">{error}</div>}
+          {!history && !error && <p className="history-empty">Loading history...</p>}
+
+          {history && history.revisions.length === 0 && (
+            <p className="history-empty">This message has no earlier revisions.</p>
+          )}
+
+          {history && history.revisions.length > 0 && (
+            <ol className="history-list">
+              {versions.map((version, index) => {
+                const isOriginal = index === 0;
+                const isCurrent = index === versions.length - 1;
+                // The revision that replaced this version records who made the edit
+                const edit = index > 0 ? history.revisions[index - 1] : null;
+
+                return (
+                  <li key={index} className={`history-version ${isCurrent ? 'history-current' : ''}`}>
+                    <div className="history-version-meta">
+                      <strong>
+                        {isCurrent ? 'Current' : isOriginal ? 'Original' : `Revision ${index}`}
+                      </strong>
+                      <span>{formatDate(version.writtenAt)}</span>
+                      {edit?.editedBy && <span>edited by {edit.editedBy.username}</span>}
+                    </div>
+                    <div className="history-version-text">
+                      {isOriginal
+                        ? version.content
+                        : diffWords(versions[index - 1].content, version.content).map((part, partIndex) => (
+                          part.type === 'same'
+                            ? <span key={partIndex}>{part.text}</span>
+                            : part.type === 'added'
+                              ? <ins key={partIndex} className="diff-added">{part.text}</ins>
+                              : <del key={partIndex} className="diff-removed">{part.text}</del>
+                        ))}
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default MessageHistory;
@@ -1,15 +1,30 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useChat } from '../../contexts/ChatContext';
 import { useSocket } from '../../contexts/SocketContext';
+import { useTopic } from '../../contexts/TopicContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { validateAttachment, isImageType, formatFileSize } from '../../utils/attachments';
+import { BROADCAST_MENTIONS, MAX_MENTION_SUGGESTIONS, getMentionQuery } from '../../utils/mentions';
+import { isDirectConversation } from '../../utils/conversations';
 import './Chat.css';
 
 function MessageInput() {
-  const { sendMessage, currentTopic } = useChat();
+  const { sendMessage, uploadAttachment, currentTopic } = useChat();
   const { startTyping, stopTyping, connected } = useSocket();
+  const { currentTopic: topic } = useTopic();
+  const { user } = useAuth();
   const [message, setMessage] = useState('');
   const [replyTo, setReplyTo] = useState(null);
   const [sending, setSending] = useState(false);
+  const [pendingFile, setPendingFile] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [attachmentError, setAttachmentError] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
   const isTypingRef = useRef(false);
 
@@ -21,6 +36,66 @@ function MessageInput() {
     }
   }, [message]);
 
+  // Release preview object URLs when the pending file changes
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  // Stage a file for upload after checking size/type limits
+  const selectFile = (file) => {
+    if (!file) return;
+
+    const validationError = validateAttachment(file);
+    if (validationError) {
+      setAttachmentError(validationError);
+      return;
+    }
+
+    setAttachmentError('');
+    setPendingFile(file);
+    setPreviewUrl(isImageType(file.type) ? URL.createObjectURL(file) : null);
+    textareaRef.current?.focus();
+  };
+
+  const clearPendingFile = () => {
+    setPendingFile(null);
+    setPreviewUrl(null);
+    setUploadProgress(0);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  // Paste-to-upload (e.g. screenshots from the clipboard)
+  const handlePaste = (e) => {
+    const file = e.clipboardData?.files?.[0];
+    if (file) {
+      e.preventDefault();
+      selectFile(file);
+    }
+  };
+
+  // Drag-and-drop upload
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    selectFile(e.dataTransfer?.files?.[0]);
+  };
+
   // Handle typing indicators
   const handleTypingStart = () => {
     if (!isTypingRef.current && connected && currentTopic) {
@@ -51,10 +126,70 @@ function MessageInput() {
     }
   };
 
+  // Members matching the @name being typed; admins can also notify @here/@all
+  const getMentionSuggestions = () => {
+    if (!mentionQuery || !topic) return [];
+
+    const query = mentionQuery.query.toLowerCase();
+    const isAdmin = topic.admins?.some(admin => (admin._id || admin) === user?.id);
+
+    const members = (topic.members || [])
+      .filter(member => member._id !== user?.id && member.username.toLowerCase().startsWith(query))
+      .map(member => ({ key: member._id, name: member.username, hint: '' }));
+
+    const broadcasts = isAdmin && !isDirectConversation(topic)
+      ? BROADCAST_MENTIONS
+        .filter(name => name.startsWith(query))
+        .map(name => ({ key: name, name, hint: name === 'all' ? 'Notify every member' : 'Notify online members' }))
+      : [];
+
+    return [...members, ...broadcasts].slice(0, MAX_MENTION_SUGGESTIONS);
+  };
+
+  const mentionSuggestions = getMentionSuggestions();
+
+  const updateMentionQuery = (value, caret) => {
+    setMentionQuery(getMentionQuery(value, caret));
+    setMentionIndex(0);
+  };
+
+  // Replace the partial @name with the chosen username
+  const insertMention = (name) => {
+    const caret = textareaRef.current?.selectionStart ?? message.length;
+    const before = message.slice(0, mentionQuery.start);
+    const inserted = `@${name} `;
+
+    setMessage(`${before}${inserted}${message.slice(caret)}`);
+    setMentionQuery(null);
+
+    requestAnimationFrame(() => {
+      const position = before.length + inserted.length;
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  // Keyboard navigation for the mention popup
+  const handleKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[mentionIndex].name);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
   // Handle input change
   const handleInputChange = (e) => {
     const value = e.target.value;
     setMessage(value);
+    updateMentionQuery(value, e.target.selectionStart);
 
     if (value.trim()) {
       handleTypingStart();
@@ -73,16 +208,23 @@ function MessageInput() {
 
   // Send message
   const handleSendMessage = async () => {
-    if (!message.trim() || sending || !connected) return;
+    if ((!message.trim() && !pendingFile) || sending || !connected) return;
 
     setSending(true);
     handleTypingStop();
 
-    const result = await sendMessage(message, replyTo?._id);
+    const result = pendingFile
+      ? await uploadAttachment(pendingFile, message, setUploadProgress)
+      : await sendMessage(message, replyTo?._id);
     
     if (result.success) {
       setMessage('');
+      setMentionQuery(null);
       setReplyTo(null);
+      clearPendingFile();
+    } else if (pendingFile) {
+      setAttachmentError(result.message);
+      setUploadProgress(0);
     }
 
     setSending(false);
@@ -106,7 +248,40 @@ function MessageInput() {
   }
 
   return (
-    <div className="message-input-container">
+    <div
+      className={`message-input-container ${isDragging ? 'drag-active' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {isDragging && (
+        <div className="drop-overlay">📎 Drop file to attach</div>
+      )}
+
+      {attachmentError && (
+        <div className="attachment-error">
+          <span>{attachmentError}</span>
+          <button className="reply-close" onClick={() => setAttachmentError('')}>×</button>
+        </div>
+      )}
+
+      {pendingFile && (
+        <div className="attachment-preview">
+          {previewUrl ? (
+            <img src={previewUrl} alt={pendingFile.name} className="attachment-preview-image" />
+          ) : (
+            <span className="attachment-preview-icon">📄</span>
+          )}
+          <div className="attachment-preview-info">
+            <span className="attachment-name">{pendingFile.name}</span>
+            <span className="attachment-size">
+              {sending ? `Uploading... ${uploadProgress}%` : formatFileSize(pendingFile.size)}
+            </span>
+          </div>
+          <button className="reply-close" onClick={clearPendingFile} disabled={sending}>×</button>
+        </div>
+      )}
+
       {replyTo && (
         <div className="reply-preview">
           <div className="reply-content">
@@ -118,13 +293,38 @@ function MessageInput() {
       )}
 
       <div className="message-input-wrapper">
+        {mentionSuggestions.length > 0 && (
+          <ul className="mention-suggestions">
+            {mentionSuggestions.map((suggestion, index) => (
+              <li key={suggestion.key}>
+                <button
+                  className={`mention-suggestion ${index === mentionIndex ? 'active' : ''}`}
+                  onMouseDown={(e) => {
+                    // Keep focus in the textarea
+                    e.preventDefault();
+                    insertMention(suggestion.name);
+                  }}
+                  onMouseEnter={() => setMentionIndex(index)}
+                >
+                  <span className="mention-suggestion-name">@{suggestion.name}</span>
+                  {suggestion.hint && <span className="mention-suggestion-hint">{suggestion.hint}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
         <div className="input-container">
           <textarea
             ref={textareaRef}
             value={message}
             onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
             onKeyPress={handleKeyPress}
-            placeholder={connected ? "Type a message..." : "Connecting..."}
+            onPaste={handlePaste}
+            onClick={(e) => updateMentionQuery(message, e.target.selectionStart)}
+            onBlur={() => setMentionQuery(null)}
+            placeholder={connected ? (pendingFile ? "Add a caption..." : "Type a message...") : "Connecting..."}
             disabled={!connected || sending}
             className="message-textarea"
             rows="1"
@@ -133,6 +333,20 @@ function MessageInput() {
           
           <div className="input-actions">
             <div className="message-info">
+              <input
+                type="file"
+                ref={fileInputRef}
+                onChange={(e) => selectFile(e.target.files?.[0])}
+                className="file-input-hidden"
+              />
+              <button
+                className="attach-button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={!connected || sending}
+                title="Attach a file"
+              >
+                📎
+              </button>
               <span className={`connection-indicator ${connected ? 'connected' : 'disconnected'}`}>
                 {connected ? '●' : '○'}
               </span>
@@ -143,7 +357,7 @@ function MessageInput() {
             
             <button
               onClick={handleSendMessage}
-              disabled={!message.trim() || sending || !connected}
+              disabled={(!message.trim() && !pendingFile) || sending || !connected}
               className="send-button"
             >
               {sending ? (
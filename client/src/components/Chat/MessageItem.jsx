@@ -1,15 +1,24 @@
 import React, { useState } from 'react';
 import { useChat } from '../../contexts/ChatContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { useTopic } from '../../contexts/TopicContext';
+import { formatFileSize } from '../../utils/attachments';
+import { canPinMessages } from '../../utils/conversations';
+import { BROADCAST_MENTIONS, splitMentions } from '../../utils/mentions';
+import MessageHistory from './MessageHistory';
+import ProfileCard from './ProfileCard';
 import './Chat.css';
 
-function MessageItem({ message, isOwn, isConsecutive }) {
-  const { editMessage, deleteMessage, addReaction } = useChat();
+function MessageItem({ message, isOwn, isConsecutive, isHighlighted, seenBy }) {
+  const { editMessage, deleteMessage, addReaction, openThread, pinMessage, unpinMessage } = useChat();
   const { user } = useAuth();
+  const { currentTopic } = useTopic();
   const [isEditing, setIsEditing] = useState(false);
   const [editContent, setEditContent] = useState(message.content);
   const [showActions, setShowActions] = useState(false);
   const [showReactions, setShowReactions] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [profileAnchor, setProfileAnchor] = useState(null);
 
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString('en-US', {
@@ -37,28 +46,81 @@ function MessageItem({ message, isOwn, isConsecutive }) {
     }
   };
 
+  const openProfile = (e) => {
+    setProfileAnchor(e.currentTarget.getBoundingClientRect());
+  };
+
   const handleReaction = async (emoji) => {
     await addReaction(message._id, emoji);
     setShowReactions(false);
   };
 
+  const handleTogglePin = async () => {
+    const result = message.pinnedAt
+      ? await unpinMessage(message._id)
+      : await pinMessage(message._id);
+
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
   const canEdit = isOwn && new Date() - new Date(message.createdAt) < 15 * 60 * 1000; // 15 minutes
   const canDelete = isOwn;
+  const canPin = canPinMessages(currentTopic, user?.id);
+  const canViewHistory = currentTopic?.members?.some(member => (member._id || member) === user?.id);
+
+  const editedLabel = message.isEdited && (
+    canViewHistory ? (
+      <button
+        className="message-edited message-edited-link"
+        onClick={() => setShowHistory(true)}
+        title="View edit history"
+      >
+        (edited)
+      </button>
+    ) : (
+      <span className="message-edited">(edited)</span>
+    )
+  );
 
   const reactionEmojis = ['👍', '❤️', '😂', '😮', '😢', '😡'];
 
   // IMPORTANT: Determine if this message is from current user
   const isMyMessage = message.sender._id === user?.id;
+  const isMentioned = message.mentions?.some(id => (id._id || id) === user?.id);
+
+  // Highlight @names that point at a member or a broadcast mention
+  const renderContent = (content) => {
+    const memberNames = (currentTopic?.members || []).map(member => member.username.toLowerCase());
+
+    return splitMentions(content).map((part, index) => {
+      const isKnown = part.mention &&
+        (memberNames.includes(part.mention) || BROADCAST_MENTIONS.includes(part.mention));
+      if (!isKnown) return <React.Fragment key={index}>{part.text}</React.Fragment>;
+
+      const isSelf = part.mention === user?.username.toLowerCase() ||
+        (BROADCAST_MENTIONS.includes(part.mention) && isMentioned);
+      return (
+        <span key={index} className={`mention ${isSelf ? 'mention-self' : ''}`}>{part.text}</span>
+      );
+    });
+  };
 
   return (
     <div 
-      className={`message-item ${isMyMessage ? 'message-own' : 'message-other'} ${isConsecutive ? 'message-consecutive' : ''}`}
+      id={`message-${message._id}`}
+      className={`message-item ${isMyMessage ? 'message-own' : 'message-other'} ${isConsecutive ? 'message-consecutive' : ''} ${isHighlighted ? 'message-highlighted' : ''} ${isMentioned ? 'message-mentioned' : ''}`}
       onMouseEnter={() => setShowActions(true)}
       onMouseLeave={() => setShowActions(false)}
     >
       {!isConsecutive && (
         <div className="message-header">
-          <div className="message-avatar">
+          <div
+            className="message-avatar message-profile-trigger"
+            onClick={openProfile}
+            title="View profile"
+          >
             {message.sender.avatar ? (
               <img src={message.sender.avatar} alt={message.sender.username} />
             ) : (
@@ -68,14 +130,25 @@ function MessageItem({ message, isOwn, isConsecutive }) {
             )}
           </div>
           <div className="message-meta">
-            <span className="message-sender">{message.sender.username}</span>
+            <span
+              className="message-sender message-profile-trigger"
+              onClick={openProfile}
+              title={`@${message.sender.username}`}
+            >
+              {message.sender.displayName || message.sender.username}
+            </span>
             <span className="message-time">{formatTime(message.createdAt)}</span>
-            {message.isEdited && <span className="message-edited">(edited)</span>}
+            {editedLabel}
+            {message.pinnedAt && <span className="message-pin-badge" title="Pinned message">📌 Pinned</span>}
           </div>
         </div>
       )}
 
       <div className="message-body">
+        {isConsecutive && message.pinnedAt && (
+          <span className="message-pin-badge message-pinned-consecutive" title="Pinned message">📌 Pinned</span>
+        )}
+
         {message.replyTo && (
           <div className="message-reply">
             <div className="reply-indicator"></div>
@@ -119,7 +192,42 @@ function MessageItem({ message, isOwn, isConsecutive }) {
               </div>
             </div>
           ) : (
-            <div className="message-text">{message.content}</div>
+            message.content && <div className="message-text">{renderContent(message.content)}</div>
+          )}
+
+          {/* Attachment Preview */}
+          {message.attachment?.url && (
+            message.messageType === 'image' ? (
+              <a
+                href={message.attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="message-image-link"
+              >
+                <img
+                  src={message.attachment.thumbnailUrl || message.attachment.url}
+                  alt={message.attachment.name}
+                  width={message.attachment.width}
+                  height={message.attachment.height}
+                  className="message-image"
+                  loading="lazy"
+                />
+              </a>
+            ) : (
+              <a
+                href={message.attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                download={message.attachment.name}
+                className="message-file"
+              >
+                <span className="message-file-icon">📄</span>
+                <span className="message-file-info">
+                  <span className="attachment-name">{message.attachment.name}</span>
+                  <span className="attachment-size">{formatFileSize(message.attachment.size)}</span>
+                </span>
+              </a>
+            )
           )}
 
           {/* Message Reactions */}
@@ -152,6 +260,16 @@ function MessageItem({ message, isOwn, isConsecutive }) {
           )}
         </div>
 
+        {/* Thread Summary */}
+        {message.replyCount > 0 && (
+          <button className="thread-summary" onClick={() => openThread(message._id)}>
+            💬 {message.replyCount} repl{message.replyCount === 1 ? 'y' : 'ies'}
+            {message.lastReplyAt && (
+              <span className="thread-last-reply">Last reply {formatTime(message.lastReplyAt)}</span>
+            )}
+          </button>
+        )}
+
         {/* Message Actions */}
         {(showActions || showReactions) && !isEditing && (
           <div className="message-actions">
@@ -161,6 +279,22 @@ function MessageItem({ message, isOwn, isConsecutive }) {
             >
               😊
             </button>
+            <button 
+              className="action-btn thread-btn"
+              onClick={() => openThread(message._id)}
+              title="Reply in thread"
+            >
+              💬
+            </button>
+            {canPin && (
+              <button 
+                className="action-btn pin-btn"
+                onClick={handleTogglePin}
+                title={message.pinnedAt ? 'Unpin message' : 'Pin message'}
+              >
+                📌
+              </button>
+            )}
             {canEdit && (
               <button 
                 className="action-btn edit-btn"
@@ -198,9 +332,32 @@ function MessageItem({ message, isOwn, isConsecutive }) {
 
       {isConsecutive && (
         <div className="message-time-consecutive">
-          {formatTime(message.createdAt)}
+          {formatTime(message.createdAt)} {editedLabel}
+        </div>
+      )}
+
+      {seenBy?.length > 0 && (
+        <div className="read-receipts">
+          <span className="read-receipts-count">✓ Seen by {seenBy.length}</span>
+          <div className="read-receipts-list">
+            {seenBy.map(reader => (
+              <span key={reader._id} className="read-receipts-user">{reader.username}</span>
+            ))}
+          </div>
         </div>
       )}
+
+      {showHistory && (
+        <MessageHistory messageId={message._id} onClose={() => setShowHistory(false)} />
+      )}
+
+      {profileAnchor && (
+        <ProfileCard
+          userId={message.sender._id}
+          anchorRect={profileAnchor}
+          onClose={() => setProfileAnchor(null)}
+        />
+      )}
     </div>
   );
 }
@@ -5,12 +5,25 @@ import MessageItem from './MessageItem';
 import './Chat.css';
 
 function MessageList() {
-  const { messages, loading, hasMore, loadMoreMessages } = useChat();
+  const {
+    messages,
+    loading,
+    hasMore,
+    loadMoreMessages,
+    currentTopic,
+    lastReadAt,
+    readReceipts,
+    markMessageRead,
+    jumpTarget,
+    clearJumpTarget,
+    openThread
+  } = useChat();
   const { user } = useAuth();
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [shouldScrollToBottom, setShouldScrollToBottom] = useState(true);
   const [showScrollButton, setShowScrollButton] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null);
 
   // Scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -54,6 +67,56 @@ function MessageList() {
     }
   }, [messages, shouldScrollToBottom]);
 
+  // Report the newest message that has scrolled into view as read
+  useEffect(() => {
+    const container = messagesContainerRef.current;
+    if (!container || messages.length === 0) return;
+
+    const messagesById = new Map(messages.map(message => [`message-${message._id}`, message]));
+    const observer = new IntersectionObserver((entries) => {
+      const newest = entries
+        .filter(entry => entry.isIntersecting)
+        .map(entry => messagesById.get(entry.target.id))
+        .filter(Boolean)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+      if (newest) {
+        markMessageRead(newest);
+      }
+    }, { root: container, threshold: 0.5 });
+
+    container.querySelectorAll('.message-item').forEach(element => observer.observe(element));
+    return () => observer.disconnect();
+  }, [messages, markMessageRead]);
+
+  // Scroll to a message requested from search, paging back until it is loaded
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.topicId !== currentTopic || loading) return;
+
+    const element = document.getElementById(`message-${jumpTarget.messageId}`);
+    if (element) {
+      setShouldScrollToBottom(false);
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedId(jumpTarget.messageId);
+      if (jumpTarget.openThread) {
+        openThread(jumpTarget.messageId);
+      }
+      clearJumpTarget();
+    } else if (hasMore) {
+      loadMoreMessages();
+    } else {
+      console.log('⚠️ Jump target not found in topic:', jumpTarget.messageId);
+      clearJumpTarget();
+    }
+  }, [jumpTarget, currentTopic, messages, loading, hasMore, openThread, clearJumpTarget, loadMoreMessages]);
+
+  // Fade out the search highlight
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timeout = setTimeout(() => setHighlightedId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedId]);
+
   // Group messages by date
   const groupMessagesByDate = (messages) => {
     const groups = [];
@@ -78,6 +141,27 @@ function MessageList() {
 
   const messageGroups = groupMessagesByDate(messages);
 
+  // Receipts are shown under the latest message and under the user's own latest message
+  const latestMessage = messages[messages.length - 1];
+  const latestOwnMessage = [...messages].reverse().find(message => message.sender._id === user?.id);
+
+  const getSeenBy = (message) => {
+    if (message !== latestMessage && message !== latestOwnMessage) return null;
+    return readReceipts
+      .filter(receipt =>
+        receipt.user._id !== message.sender._id &&
+        new Date(receipt.lastReadAt) >= new Date(message.createdAt)
+      )
+      .map(receipt => receipt.user);
+  };
+
+  // The first message from someone else that arrived after the user last read this topic
+  const firstUnreadId = lastReadAt
+    ? messages.find(message =>
+        new Date(message.createdAt) > new Date(lastReadAt) && message.sender._id !== user?.id
+      )?._id
+    : null;
+
   const formatDateHeader = (dateString) => {
     const date = new Date(dateString);
     const today = new Date();
@@ -135,12 +219,20 @@ function MessageList() {
             const isOwn = message.sender._id === user?.id;
 
             return (
-              <MessageItem
-                key={message._id}
-                message={message}
-                isOwn={isOwn}
-                isConsecutive={isConsecutive}
-              />
+              <React.Fragment key={message._id}>
+                {message._id === firstUnreadId && (
+                  <div className="unread-divider">
+                    <span className="unread-divider-text">New messages</span>
+                  </div>
+                )}
+                <MessageItem
+                  message={message}
+                  isOwn={isOwn}
+                  isConsecutive={isConsecutive && message._id !== firstUnreadId}
+                  isHighlighted={highlightedId === message._id}
+                  seenBy={getSeenBy(message)}
+                />
+              </React.Fragment>
             );
           })}
         </div>
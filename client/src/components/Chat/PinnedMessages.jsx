@@ -0,0 +1,84 @@
+import React from 'react';
+import { useChat } from '../../contexts/ChatContext';
+import { formatFileSize } from '../../utils/attachments';
+import './Chat.css';
+
+function PinnedMessages({ topic, canUnpin, onClose }) {
+  const { pinnedMessages, unpinMessage, jumpToMessage } = useChat();
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const handleJump = (message) => {
+    // Thread replies live in their parent's thread, not the main timeline
+    if (message.inThread && message.replyTo) {
+      jumpToMessage(topic._id, message.replyTo, { openThread: true });
+    } else {
+      jumpToMessage(topic._id, message._id);
+    }
+  };
+
+  const handleUnpin = async (messageId) => {
+    const result = await unpinMessage(messageId);
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  return (
+    <aside className="pinned-drawer">
+      <div className="thread-header">
+        <h3>📌 Pinned Messages</h3>
+        <button className="reply-close" onClick={onClose} title="Close pinned messages">×</button>
+      </div>
+
+      <div className="pinned-list">
+        {pinnedMessages.length === 0 ? (
+          <div className="pinned-empty">
+            <p>No pinned messages yet</p>
+            {canUnpin && <small>Hover over a message and click 📌 to pin it</small>}
+          </div>
+        ) : (
+          pinnedMessages.map(message => (
+            <div key={message._id} className="pinned-message">
+              <button className="pinned-message-body" onClick={() => handleJump(message)}>
+                <div className="thread-message-meta">
+                  <span className="message-sender">{message.sender?.username}</span>
+                  <span className="message-time">{formatDate(message.createdAt)}</span>
+                </div>
+                {message.content && (
+                  <div className="thread-message-text">{message.content}</div>
+                )}
+                {message.attachment?.name && (
+                  <div className="pinned-attachment">
+                    📎 {message.attachment.name} ({formatFileSize(message.attachment.size)})
+                  </div>
+                )}
+                {message.pinnedBy?.username && (
+                  <small className="pinned-by">Pinned by {message.pinnedBy.username}</small>
+                )}
+              </button>
+              {canUnpin && (
+                <button
+                  className="pinned-unpin-btn"
+                  onClick={() => handleUnpin(message._id)}
+                  title="Unpin message"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default PinnedMessages;
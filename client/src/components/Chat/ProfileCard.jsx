@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import './Chat.css';
+
+const CARD_WIDTH = 280;
+
+// The other user's wall-clock time, or null if they haven't set a time zone
+const formatLocalTime = (timeZone) => {
+  if (!timeZone) return null;
+  try {
+    return new Date().toLocaleTimeString('en-US', {
+      timeZone,
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  } catch {
+    return null;
+  }
+};
+
+// Popover with a user's public profile, opened from a message sender
+function ProfileCard({ userId, anchorRect, onClose }) {
+  const { fetchUserProfile } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      const result = await fetchUserProfile(userId);
+      if (result.success) {
+        setProfile(result.profile);
+      } else {
+        setError(result.message);
+      }
+    };
+
+    loadProfile();
+  }, [userId, fetchUserProfile]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Open below the clicked name, kept inside the viewport
+  const position = {
+    top: Math.min(anchorRect.bottom + 6, window.innerHeight - 320),
+    left: Math.max(8, Math.min(anchorRect.left, window.innerWidth - CARD_WIDTH - 8))
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleDateString('en-US', {
+      month: 'long',
+      year: 'numeric'
+    });
+  };
+
+  const localTime = profile && formatLocalTime(profile.timezone);
+
+  // Rendered on <body> so it isn't clipped by the scrolling message list
+  return createPortal(
+    <div className="profile-card-backdrop" onClick={onClose}>
+      <div
+        className="profile-card"
+        style={{ ...position, width: CARD_WIDTH }}
+        onClick={e => e.stopPropagation()}
+      >
+        {error && <div className="error-message">{error}</div>}
+        {!profile && !error && <p className="profile-card-loading">Loading profile...</p>}
+
+        {profile && (
+          <>
+            <div className="profile-card-header">
+              <div className="profile-card-avatar">
+                {profile.avatar ? (
+                  <img src={profile.avatar} alt={profile.username} />
+                ) : (
+                  <div className="avatar-placeholder">
+                    {profile.username.charAt(0).toUpperCase()}
+                  </div>
+                )}
+                <span className={`profile-card-status ${profile.isOnline ? 'online' : ''}`}></span>
+              </div>
+              <div className="profile-card-names">
+                <strong>{profile.displayName || profile.username}</strong>
+                {profile.displayName && <span>@{profile.username}</span>}
+              </div>
+            </div>
+
+            {profile.bio && <p className="profile-card-bio">{profile.bio}</p>}
+
+            <dl className="profile-card-details">
+              {localTime && (
+                <>
+                  <dt>Local time</dt>
+                  <dd>{localTime} ({profile.timezone})</dd>
+                </>
+              )}
+              <dt>Member since</dt>
+              <dd>{formatDate(profile.createdAt)}</dd>
+              {!profile.isOnline && profile.lastSeen && (
+                <>
+                  <dt>Last seen</dt>
+                  <dd>{new Date(profile.lastSeen).toLocaleString('en-US')}</dd>
+                </>
+              )}
+            </dl>
+          </>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+}
+
+export default ProfileCard;
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useChat } from '../../contexts/ChatContext';
+import { useSocket } from '../../contexts/SocketContext';
+import './Chat.css';
+
+function ThreadPanel() {
+  const { activeThread, threadLoading, closeThread, sendThreadReply } = useChat();
+  const { connected } = useSocket();
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const repliesEndRef = useRef(null);
+
+  // Keep the latest reply in view
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [activeThread?.replies.length]);
+
+  const formatTime = (timestamp) => {
+    return new Date(timestamp).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  };
+
+  const handleSendReply = async () => {
+    if (!reply.trim() || sending || !connected) return;
+
+    setSending(true);
+    const result = await sendThreadReply(reply);
+
+    if (result.success) {
+      setReply('');
+    }
+
+    setSending(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSendReply();
+    }
+  };
+
+  const renderThreadMessage = (message, isParent = false) => (
+    <div key={message._id} className={`thread-message ${isParent ? 'thread-parent' : ''}`}>
+      <div className="thread-message-meta">
+        <span className="message-sender">{message.sender?.username}</span>
+        <span className="message-time">{formatTime(message.createdAt)}</span>
+        {message.isEdited && <span className="message-edited">(edited)</span>}
+      </div>
+      <div className="thread-message-text">{message.content}</div>
+    </div>
+  );
+
+  if (!activeThread && !threadLoading) {
+    return null;
+  }
+
+  return (
+    <aside className="thread-panel">
+      <div className="thread-header">
+        <h3>🧵 Thread</h3>
+        <button className="reply-close" onClick={closeThread} title="Close thread">×</button>
+      </div>
+
+      {threadLoading || !activeThread ? (
+        <div className="load-more-indicator">
+          <div className="loading-spinner-small"></div>
+          <span>Loading thread...</span>
+        </div>
+      ) : (
+        <>
+          <div className="thread-messages">
+            {renderThreadMessage(activeThread.parent, true)}
+
+            <div className="thread-reply-count">
+              {activeThread.replies.length} repl{activeThread.replies.length === 1 ? 'y' : 'ies'}
+            </div>
+
+            {activeThread.replies.map(threadReply => renderThreadMessage(threadReply))}
+            <div ref={repliesEndRef} />
+          </div>
+
+          <div className="thread-input">
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              onKeyDown={handleKeyDown}
+              placeholder={connected ? 'Reply in thread...' : 'Connecting...'}
+              disabled={!connected || sending}
+              className="edit-textarea"
+              maxLength="1000"
+            />
+            <button
+              onClick={handleSendReply}
+              disabled={!reply.trim() || sending || !connected}
+              className="send-button"
+            >
+              {sending ? <div className="sending-spinner"></div> : <span>Reply</span>}
+            </button>
+          </div>
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default ThreadPanel;
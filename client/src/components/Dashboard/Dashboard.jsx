@@ -1,15 +1,35 @@
-import React, { useState } from 'react';
-import { Routes, Route } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { TopicProvider, useTopic } from '../../contexts/TopicContext';
+import { NotificationProvider } from '../../contexts/NotificationContext';
 import TopicList from '../Topics/TopicList';
+import DirectMessageList from '../Topics/DirectMessageList';
 import TopicView from '../Topics/TopicView';
+import SearchPanel from '../Search/SearchPanel';
+import NotificationBell from '../Notifications/NotificationBell';
+import DesktopNotifications from '../Notifications/DesktopNotifications';
+import VerificationBanner from './VerificationBanner';
+import SessionsModal from './SessionsModal';
+import SettingsPage from '../Settings/SettingsPage';
 import './Dashboard.css';
 
 function DashboardContent() {
   const { user, logout } = useAuth();
   const { currentTopic } = useTopic();
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [showSessions, setShowSessions] = useState(false);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const previousTopic = useRef(currentTopic);
+
+  // Picking a topic from the sidebar leaves the settings view
+  useEffect(() => {
+    if (currentTopic && currentTopic !== previousTopic.current && location.pathname !== '/dashboard') {
+      navigate('/dashboard');
+    }
+    previousTopic.current = currentTopic;
+  }, [currentTopic, location.pathname, navigate]);
 
   const handleLogout = () => {
     logout();
@@ -21,6 +41,7 @@ function DashboardContent() {
 
   return (
     <div className="dashboard">
+      <DesktopNotifications />
       <header className="dashboard-header">
         <div className="header-left">
           <button className="sidebar-toggle" onClick={toggleSidebar}>
@@ -28,50 +49,68 @@ function DashboardContent() {
           </button>
           <h1>TopicChat</h1>
         </div>
+        <SearchPanel />
         <div className="user-info">
-          <span>Welcome, {user?.username}!</span>
+          <NotificationBell />
+          <span>Welcome, {user?.displayName || user?.username}!</span>
+          <Link to="/dashboard/settings" className="header-link" title="Account, profile, security and preferences">
+            Settings
+          </Link>
+          <button onClick={() => setShowSessions(true)} className="header-link" title="See where you are signed in">
+            Devices
+          </button>
           <button onClick={handleLogout} className="logout-btn">
             Logout
           </button>
         </div>
       </header>
+
+      <VerificationBanner />
+
+      {showSessions && <SessionsModal onClose={() => setShowSessions(false)} />}
       
       <div className="dashboard-body">
         <aside className={`sidebar ${sidebarOpen ? 'sidebar-open' : 'sidebar-closed'}`}>
           <div className="sidebar-content">
             <TopicList />
+            <DirectMessageList />
           </div>
         </aside>
         
         <main className="main-content">
-          {currentTopic ? (
-            <TopicView />
-          ) : (
-            <div className="welcome-screen">
-              <div className="welcome-content">
-                <h2>🎉 Welcome to TopicChat!</h2>
-                <p>Select a topic from the sidebar to start chatting, or create a new topic to begin conversations.</p>
-                <div className="feature-list">
-                  <div className="feature-item">
-                    <span className="feature-icon">💬</span>
-                    <span>Real-time messaging</span>
-                  </div>
-                  <div className="feature-item">
-                    <span className="feature-icon">🏷️</span>
-                    <span>Message tagging</span>
-                  </div>
-                  <div className="feature-item">
-                    <span className="feature-icon">📌</span>
-                    <span>Pin important messages</span>
-                  </div>
-                  <div className="feature-item">
-                    <span className="feature-icon">🔒</span>
-                    <span>Private topics</span>
+          <Routes>
+            <Route path="settings/*" element={<SettingsPage />} />
+            <Route path="*" element={
+              currentTopic ? (
+                <TopicView />
+              ) : (
+                <div className="welcome-screen">
+                  <div className="welcome-content">
+                    <h2>🎉 Welcome to TopicChat!</h2>
+                    <p>Select a topic from the sidebar to start chatting, or create a new topic to begin conversations.</p>
+                    <div className="feature-list">
+                      <div className="feature-item">
+                        <span className="feature-icon">💬</span>
+                        <span>Real-time messaging</span>
+                      </div>
+                      <div className="feature-item">
+                        <span className="feature-icon">🏷️</span>
+                        <span>Message tagging</span>
+                      </div>
+                      <div className="feature-item">
+                        <span className="feature-icon">📌</span>
+                        <span>Pin important messages</span>
+                      </div>
+                      <div className="feature-item">
+                        <span className="feature-icon">🔒</span>
+                        <span>Private topics</span>
+                      </div>
+                    </div>
                   </div>
                 </div>
-              </div>
-            </div>
-          )}
+              )
+            } />
+          </Routes>
         </main>
       </div>
     </div>
@@ -81,7 +120,9 @@ function DashboardContent() {
 function Dashboard() {
   return (
     <TopicProvider>
-      <DashboardContent />
+      <NotificationProvider>
+        <DashboardContent />
+      </NotificationProvider>
     </TopicProvider>
   );
 }
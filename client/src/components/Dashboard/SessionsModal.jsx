@@ -0,0 +1,103 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import '../Topics/Topics.css';
+
+// A short device name from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+  const os = ['Windows', 'Mac OS', 'Android', 'iPhone', 'iPad', 'Linux'].find(name => userAgent.includes(name));
+  const browserName = browser === 'Edg' ? 'Edge' : browser;
+  return [browserName, os].filter(Boolean).join(' on ') || userAgent.slice(0, 40);
+};
+
+const formatDate = (timestamp) => {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+function SessionsModal({ onClose }) {
+  const { fetchSessions, revokeSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    const result = await fetchSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  }, [fetchSessions]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    const result = await revokeSession(sessionId);
+    if (result.success) {
+      loadSessions();
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Signed-in devices</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="invite-modal-body">
+          {error && <div className="error-message">{error}</div>}
+
+          {loading ? (
+            <p className="invite-empty">Loading...</p>
+          ) : (
+            <ul className="invite-list">
+              {sessions.map(session => (
+                <li key={session.id}>
+                  <span>
+                    <strong>
+                      {describeDevice(session.userAgent)}
+                      {session.current && <span className="session-current"> · This device</span>}
+                    </strong>
+                    <small>
+                      {session.ip || 'Unknown IP'} · Last active {formatDate(session.lastUsedAt)} · Signed in {formatDate(session.createdAt)}
+                    </small>
+                  </span>
+                  {!session.current && (
+                    <button className="invite-secondary-btn" onClick={() => handleRevoke(session.id)}>
+                      Sign out
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {otherSessions.length > 0 && (
+            <div className="modal-actions">
+              <button type="button" onClick={() => handleRevoke(null)}>
+                Sign out all other devices
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionsModal;
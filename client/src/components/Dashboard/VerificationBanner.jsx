@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+
+// Reminds users with an unverified email to open their verification link
+function VerificationBanner() {
+  const { user, resendVerification, markEmailVerified } = useAuth();
+  const { socket } = useSocket();
+  const [status, setStatus] = useState('');
+  const [sending, setSending] = useState(false);
+
+  // Verifying in another tab or on another device clears the banner here too
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleEmailVerified = (data) => {
+      console.log('✉️ Email verified');
+      markEmailVerified(data?.email);
+    };
+
+    socket.on('email-verified', handleEmailVerified);
+    return () => socket.off('email-verified', handleEmailVerified);
+  }, [socket, markEmailVerified]);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification();
+    setStatus(result.message);
+    setSending(false);
+  };
+
+  return (
+    <div className="verification-banner">
+      <span>
+        ✉️ Please verify your email address <strong>{user.email}</strong>. Check your inbox for the link.
+      </span>
+      {status && <span className="verification-status">{status}</span>}
+      <button onClick={handleResend} disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+}
+
+export default VerificationBanner;
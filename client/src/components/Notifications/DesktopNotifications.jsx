@@ -0,0 +1,143 @@
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { useChat } from '../../contexts/ChatContext';
+import { useTopic } from '../../contexts/TopicContext';
+import { useNotifications } from '../../contexts/useNotifications';
+import { getConversationName, isDirectConversation } from '../../utils/conversations';
+import {
+  allowsDesktopNotification,
+  drawFaviconBadge,
+  isDesktopSupported,
+  isQuietTime
+} from '../../utils/desktopNotifications';
+
+const BASE_TITLE = document.title;
+
+// Shows browser notifications for activity while the tab is in the background
+// and keeps the unread total in the tab title and favicon
+function DesktopNotifications() {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const { jumpToMessage } = useChat();
+  const { topics, conversations, selectTopic, unreadCounts, mentionCounts, notificationPreferences } = useTopic();
+  const { desktopSettings, desktopPermission } = useNotifications();
+  // Message id -> kind of notification already shown, so a mention is not announced twice
+  const shownRef = useRef(new Map());
+  const faviconRef = useRef(null);
+
+  // Desktop notifications from socket events
+  useEffect(() => {
+    if (!socket || !isDesktopSupported()) return;
+
+    const findTopic = (topicId) => [...topics, ...conversations].find(t => t._id === topicId);
+
+    const topicLabel = (topic, fallback) => {
+      if (!topic) return fallback || 'TopicChat';
+      return isDirectConversation(topic) ? getConversationName(topic, user?._id) : `#${topic.name}`;
+    };
+
+    const notify = ({ topicId, message, title, body, isMention }) => {
+      if (!desktopSettings.enabled || desktopPermission !== 'granted') return;
+      // Someone looking at the app does not need a popup
+      if (document.visibilityState === 'visible' && document.hasFocus()) return;
+      if (isQuietTime(desktopSettings)) return;
+      if (!allowsDesktopNotification(notificationPreferences[topicId], isMention)) return;
+
+      const shown = shownRef.current.get(message._id);
+      if (shown === 'mention' || (shown && !isMention)) return;
+      shownRef.current.set(message._id, isMention ? 'mention' : 'message');
+
+      // Reusing the tag replaces a plain message notification with the mention one
+      const notification = new Notification(title, {
+        body,
+        tag: `message-${message._id}`
+      });
+
+      notification.onclick = () => {
+        window.focus();
+        if (message.inThread && message.replyTo) {
+          jumpToMessage(topicId, message.replyTo, { openThread: true });
+        } else {
+          jumpToMessage(topicId, message._id);
+        }
+        const topic = findTopic(topicId);
+        if (topic) {
+          selectTopic(topic);
+        }
+        notification.close();
+      };
+    };
+
+    const handleUnreadActivity = ({ topicId, messageId, preview }) => {
+      if (!preview) return;
+      notify({
+        topicId,
+        message: { _id: messageId },
+        title: `${preview.sender} in ${topicLabel(findTopic(topicId))}`,
+        body: preview.content || 'Sent an attachment',
+        isMention: false
+      });
+    };
+
+    const handleMentioned = ({ message, topic }) => {
+      notify({
+        topicId: topic._id,
+        message,
+        title: `${message.sender?.username} mentioned you in ${topicLabel(findTopic(topic._id), `#${topic.name}`)}`,
+        body: message.content || 'Sent an attachment',
+        isMention: true
+      });
+    };
+
+    socket.on('unread-activity', handleUnreadActivity);
+    socket.on('mentioned', handleMentioned);
+
+    return () => {
+      socket.off('unread-activity', handleUnreadActivity);
+      socket.off('mentioned', handleMentioned);
+    };
+  }, [socket, user, topics, conversations, notificationPreferences, desktopSettings, desktopPermission, jumpToMessage, selectTopic]);
+
+  // Unread total in the tab title and favicon; a mention counts once per topic
+  // alongside the messages it belongs to
+  const topicIds = new Set([...Object.keys(unreadCounts), ...Object.keys(mentionCounts)]);
+  const totalUnread = [...topicIds].reduce(
+    (sum, id) => sum + Math.max(unreadCounts[id] || 0, mentionCounts[id] || 0),
+    0
+  );
+
+  useEffect(() => {
+    document.title = totalUnread > 0 ? `(${totalUnread}) ${BASE_TITLE}` : BASE_TITLE;
+
+    const link = document.querySelector('link[rel="icon"]');
+    if (!link) return;
+    if (!faviconRef.current) {
+      faviconRef.current = { href: link.href, type: link.type };
+    }
+
+    if (totalUnread > 0) {
+      link.type = 'image/png';
+      link.href = drawFaviconBadge(totalUnread);
+    } else {
+      link.type = faviconRef.current.type;
+      link.href = faviconRef.current.href;
+    }
+  }, [totalUnread]);
+
+  // Put the original title and icon back on logout
+  useEffect(() => {
+    return () => {
+      document.title = BASE_TITLE;
+      const link = document.querySelector('link[rel="icon"]');
+      if (link && faviconRef.current) {
+        link.type = faviconRef.current.type;
+        link.href = faviconRef.current.href;
+      }
+    };
+  }, []);
+
+  return null;
+}
+
+export default DesktopNotifications;
@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNotifications } from '../../contexts/useNotifications';
+import { useChat } from '../../contexts/ChatContext';
+import { useTopic } from '../../contexts/TopicContext';
+import { describeNotification, NOTIFICATION_ICONS } from '../../utils/notifications';
+import { formatUnreadCount } from '../../utils/unread';
+import './Notifications.css';
+
+function NotificationBell() {
+  const {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    loadMoreNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification,
+    desktopSettings,
+    desktopPermission,
+    updateDesktopSettings
+  } = useNotifications();
+  const { jumpToMessage } = useChat();
+  const { topics, conversations, selectTopic } = useTopic();
+  const [isOpen, setIsOpen] = useState(false);
+  const bellRef = useRef(null);
+
+  // Close the inbox when clicking outside of it
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (bellRef.current && !bellRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Open whatever the notification points at
+  const handleNotificationClick = async (notification) => {
+    if (!notification.read) {
+      markNotificationRead(notification._id);
+    }
+
+    // Invitations are answered from the sidebar
+    if (notification.type === 'invitation' || !notification.topic) {
+      setIsOpen(false);
+      return;
+    }
+
+    const topicId = notification.topic._id;
+    const topic = [...topics, ...conversations].find(t => t._id === topicId) || notification.topic;
+    const message = notification.message;
+
+    if (message) {
+      // Thread replies live in their parent's thread, so jump there instead
+      if (message.inThread && message.replyTo) {
+        jumpToMessage(topicId, message.replyTo, { openThread: true });
+      } else {
+        jumpToMessage(topicId, message._id);
+      }
+    }
+
+    selectTopic(topic);
+    setIsOpen(false);
+  };
+
+  const handleMarkAllRead = async () => {
+    const result = await markAllNotificationsRead();
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  const handleDelete = async (e, notificationId) => {
+    e.stopPropagation();
+    const result = await deleteNotification(notificationId);
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  const handleDesktopSettingChange = async (changes) => {
+    const result = await updateDesktopSettings(changes);
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="notification-bell" ref={bellRef}>
+      <button
+        className="notification-bell-btn"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{formatUnreadCount(unreadCount)}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <span>Notifications</span>
+            <button
+              className="notification-mark-all"
+              onClick={handleMarkAllRead}
+              disabled={unreadCount === 0}
+            >
+              Mark all read
+            </button>
+          </div>
+
+          {notifications.length === 0 ? (
+            <div className="notification-empty">
+              {loading ? 'Loading...' : 'You\'re all caught up'}
+            </div>
+          ) : (
+            <div className="notification-list">
+              {notifications.map(notification => (
+                <div
+                  key={notification._id}
+                  className={`notification-item ${notification.read ? '' : 'notification-unread'}`}
+                  onClick={() => handleNotificationClick(notification)}
+                >
+                  <span className="notification-icon">{NOTIFICATION_ICONS[notification.type]}</span>
+                  <div className="notification-body">
+                    <div className="notification-text">{describeNotification(notification)}</div>
+                    {notification.message?.content && (
+                      <div className="notification-preview">{notification.message.content}</div>
+                    )}
+                    <div className="notification-time">{formatDate(notification.createdAt)}</div>
+                  </div>
+                  <button
+                    className="notification-delete"
+                    onClick={(e) => handleDelete(e, notification._id)}
+                    title="Delete notification"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+
+              {hasMore && (
+                <button
+                  className="notification-load-more"
+                  onClick={loadMoreNotifications}
+                  disabled={loading}
+                >
+                  {loading ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="notification-desktop-settings">
+            {desktopPermission === 'unsupported' ? (
+              <span className="notification-desktop-hint">Desktop notifications are not supported in this browser</span>
+            ) : (
+              <>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={desktopSettings.enabled && desktopPermission === 'granted'}
+                    disabled={desktopPermission === 'denied'}
+                    onChange={(e) => handleDesktopSettingChange({ enabled: e.target.checked })}
+                  />
+                  Desktop notifications
+                </label>
+                {desktopPermission === 'denied' && (
+                  <span className="notification-desktop-hint">Blocked in your browser settings</span>
+                )}
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={desktopSettings.quietHoursEnabled}
+                    onChange={(e) => handleDesktopSettingChange({ quietHoursEnabled: e.target.checked })}
+                  />
+                  Do not disturb
+                  <input
+                    type="time"
+                    value={desktopSettings.quietHoursStart}
+                    disabled={!desktopSettings.quietHoursEnabled}
+                    onChange={(e) => e.target.value && handleDesktopSettingChange({ quietHoursStart: e.target.value })}
+                  />
+                  –
+                  <input
+                    type="time"
+                    value={desktopSettings.quietHoursEnd}
+                    disabled={!desktopSettings.quietHoursEnabled}
+                    onChange={(e) => e.target.value && handleDesktopSettingChange({ quietHoursEnd: e.target.value })}
+                  />
+                </label>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,225 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useChat } from '../../contexts/ChatContext';
+import { useTopic } from '../../contexts/TopicContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { isDirectConversation, getConversationName } from '../../utils/conversations';
+import './Search.css';
+
+const emptyFilters = {
+  topic: '',
+  sender: '',
+  from: '',
+  to: '',
+  hasReply: false
+};
+
+function SearchPanel() {
+  const { searchMessages, jumpToMessage } = useChat();
+  const { topics, conversations, selectTopic } = useTopic();
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(emptyFilters);
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  const panelRef = useRef(null);
+
+  // Close the panel when clicking outside of it
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const runSearch = async (page = 1) => {
+    if (!query.trim()) return;
+
+    setLoading(true);
+    setError('');
+    setIsOpen(true);
+
+    const result = await searchMessages(query.trim(), {
+      ...filters,
+      // Send the end of the selected day so the range is inclusive
+      to: filters.to ? `${filters.to}T23:59:59.999` : ''
+    }, page);
+
+    if (result.success) {
+      setResults(prev => (page === 1 ? result.results : [...prev, ...result.results]));
+      setPagination(result.pagination);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(1);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  // Conversations are labelled by their participants rather than their internal name
+  const getResultTopicLabel = (topic) => {
+    if (!isDirectConversation(topic)) return `#${topic.name}`;
+    const conversation = conversations.find(item => item._id === topic._id);
+    return conversation ? `@${getConversationName(conversation, user?.id)}` : 'Direct message';
+  };
+
+  const handleResultClick = ({ message }) => {
+    const topicId = message.topic._id;
+    const topic = [...topics, ...conversations].find(t => t._id === topicId) || message.topic;
+
+    // Thread replies live in their parent's thread, so jump there instead
+    if (message.inThread && message.replyTo) {
+      jumpToMessage(topicId, message.replyTo, { openThread: true });
+    } else {
+      jumpToMessage(topicId, message._id);
+    }
+
+    selectTopic(topic);
+    setIsOpen(false);
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="search-panel" ref={panelRef}>
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          type="search"
+          className="search-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => results.length > 0 && setIsOpen(true)}
+          placeholder="Search messages..."
+          maxLength={200}
+        />
+        <button
+          type="button"
+          className={`search-filter-toggle ${showFilters ? 'active' : ''}`}
+          onClick={() => {
+            setShowFilters(!showFilters);
+            setIsOpen(true);
+          }}
+          title="Search filters"
+        >
+          ⚙️
+        </button>
+      </form>
+
+      {isOpen && (
+        <div className="search-dropdown">
+          {showFilters && (
+            <div className="search-filters">
+              <select name="topic" value={filters.topic} onChange={handleFilterChange}>
+                <option value="">All topics</option>
+                {topics.map(topic => (
+                  <option key={topic._id} value={topic._id}>{topic.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                name="sender"
+                value={filters.sender}
+                onChange={handleFilterChange}
+                placeholder="From user"
+              />
+              <label>
+                From
+                <input type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+              </label>
+              <label>
+                To
+                <input type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+              </label>
+              <label className="search-checkbox">
+                <input
+                  type="checkbox"
+                  name="hasReply"
+                  checked={filters.hasReply}
+                  onChange={handleFilterChange}
+                />
+                Has replies
+              </label>
+              <button type="button" className="search-clear-btn" onClick={() => setFilters(emptyFilters)}>
+                Clear
+              </button>
+            </div>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+
+          {!loading && pagination && results.length === 0 && !error && (
+            <div className="search-empty">No messages found</div>
+          )}
+
+          {results.length > 0 && (
+            <div className="search-results">
+              <div className="search-count">
+                {pagination.totalResults} result{pagination.totalResults !== 1 ? 's' : ''}
+              </div>
+              {results.map(result => (
+                <button
+                  key={result.message._id}
+                  className="search-result"
+                  onClick={() => handleResultClick(result)}
+                >
+                  <div className="search-result-meta">
+                    <span className="search-result-topic">{getResultTopicLabel(result.message.topic)}</span>
+                    <span className="search-result-sender">{result.message.sender?.username}</span>
+                    <span className="search-result-date">{formatDate(result.message.createdAt)}</span>
+                  </div>
+                  <div className="search-result-snippet">
+                    {result.snippet.map((part, index) => (
+                      part.highlight
+                        ? <mark key={index}>{part.text}</mark>
+                        : <span key={index}>{part.text}</span>
+                    ))}
+                  </div>
+                </button>
+              ))}
+
+              {pagination.hasMore && (
+                <button
+                  className="search-load-more"
+                  onClick={() => runSearch(pagination.currentPage + 1)}
+                  disabled={loading}
+                >
+                  Load more
+                </button>
+              )}
+            </div>
+          )}
+
+          {loading && <div className="search-loading">Searching...</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
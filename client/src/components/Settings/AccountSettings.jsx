@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import './Settings.css';
+
+// Account tab of the settings page: email address and password
+function AccountSettings() {
+  const { user, changePassword, changeEmail, cancelEmailChange } = useAuth();
+  const [emailForm, setEmailForm] = useState({ email: '', password: '' });
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const handleEmailChange = (e) => {
+    setEmailForm({
+      ...emailForm,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswordForm({
+      ...passwordForm,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await changeEmail(emailForm.password, emailForm.email);
+    if (result.success) {
+      setEmailForm({ email: '', password: '' });
+      setNotice(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCancelEmailChange = async () => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await cancelEmailChange();
+    if (result.success) {
+      setNotice(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+    if (result.success) {
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setNotice(result.message);
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="settings-tab">
+      {error && <div className="settings-error">{error}</div>}
+      {notice && <div className="settings-notice">{notice}</div>}
+
+      <section className="settings-section">
+        <h2>Email address</h2>
+        <p className="settings-hint">
+          Signed in as <strong>{user?.email}</strong>
+          {user?.emailVerified === false && ' (not verified yet)'}.
+          A new address only takes effect once you open the link we send to it.
+        </p>
+
+        {user?.pendingEmail && (
+          <div className="settings-pending">
+            <span>Waiting for confirmation of <strong>{user.pendingEmail}</strong></span>
+            <button
+              type="button"
+              className="settings-link-btn"
+              onClick={handleCancelEmailChange}
+              disabled={loading}
+            >
+              Cancel change
+            </button>
+          </div>
+        )}
+
+        <form className="settings-form" onSubmit={handleEmailSubmit}>
+          <label>
+            New email address
+            <input
+              type="email"
+              name="email"
+              value={emailForm.email}
+              onChange={handleEmailChange}
+              required
+            />
+          </label>
+          <label>
+            Current password
+            <input
+              type="password"
+              name="password"
+              value={emailForm.password}
+              onChange={handleEmailChange}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <div className="settings-actions">
+            <button type="submit" className="settings-primary-btn" disabled={loading}>
+              Send confirmation link
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h2>Password</h2>
+        <p className="settings-hint">Changing your password signs you out on every other device.</p>
+        <form className="settings-form" onSubmit={handlePasswordSubmit}>
+          <label>
+            Current password
+            <input
+              type="password"
+              name="currentPassword"
+              value={passwordForm.currentPassword}
+              onChange={handlePasswordChange}
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <label>
+            New password
+            <input
+              type="password"
+              name="newPassword"
+              value={passwordForm.newPassword}
+              onChange={handlePasswordChange}
+              autoComplete="new-password"
+              minLength={6}
+              required
+            />
+          </label>
+          <label>
+            Confirm new password
+            <input
+              type="password"
+              name="confirmPassword"
+              value={passwordForm.confirmPassword}
+              onChange={handlePasswordChange}
+              autoComplete="new-password"
+              minLength={6}
+              required
+            />
+          </label>
+          <div className="settings-actions">
+            <button type="submit" className="settings-primary-btn" disabled={loading}>
+              Change password
+            </button>
+          </div>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default AccountSettings;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import './Settings.css';
+
+// Preferences tab of the settings page: privacy and email settings
+function PreferenceSettings() {
+  const { user, updateSettings } = useAuth();
+  const [error, setError] = useState('');
+
+  const saveSettings = async (settings) => {
+    setError('');
+    const result = await updateSettings(settings);
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div className="settings-tab">
+      {error && <div className="settings-error">{error}</div>}
+
+      <section className="settings-section">
+        <h2>Read receipts</h2>
+        <p className="settings-hint">Let others see when you have read their messages.</p>
+        <label className="settings-toggle">
+          <input
+            type="checkbox"
+            checked={user?.shareReadReceipts !== false}
+            onChange={() => saveSettings({ shareReadReceipts: user?.shareReadReceipts === false })}
+          />
+          Share read receipts
+        </label>
+      </section>
+
+      <section className="settings-section">
+        <h2>Email digest</h2>
+        <p className="settings-hint">Get an email summary of what you missed while you were away.</p>
+        <form className="settings-form" onSubmit={e => e.preventDefault()}>
+          <label>
+            Frequency
+            <select
+              value={user?.digestFrequency || 'off'}
+              onChange={e => saveSettings({ digestFrequency: e.target.value })}
+            >
+              <option value="off">Off</option>
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+          </label>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default PreferenceSettings;
@@ -0,0 +1,206 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import './Settings.css';
+
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+
+// Time zones the browser knows about, with the detected one as a fallback
+const getTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone');
+  }
+  return [Intl.DateTimeFormat().resolvedOptions().timeZone];
+};
+
+// Public profile: avatar, display name, bio and time zone
+function ProfileSettings() {
+  const { user, fetchProfile, updateProfile, uploadAvatar, removeAvatar } = useAuth();
+  const [formData, setFormData] = useState({ displayName: '', bio: '', timezone: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const fileInputRef = useRef(null);
+  const timeZones = getTimeZones();
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      const result = await fetchProfile();
+      if (result.success) {
+        setFormData({
+          displayName: result.profile.displayName || '',
+          bio: result.profile.bio || '',
+          timezone: result.profile.timezone || ''
+        });
+      } else {
+        setError(result.message);
+      }
+    };
+
+    loadProfile();
+  }, [fetchProfile]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await updateProfile(formData);
+    if (result.success) {
+      setNotice('Profile saved');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleAvatarSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (file.size > MAX_AVATAR_SIZE) {
+      setError('Avatar images can be at most 5MB');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await uploadAvatar(file);
+    if (result.success) {
+      setNotice('Avatar updated');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleRemoveAvatar = async () => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await removeAvatar();
+    if (result.success) {
+      setNotice('Avatar removed');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const detectedTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  return (
+    <div className="settings-tab">
+      {error && <div className="settings-error">{error}</div>}
+      {notice && <div className="settings-notice">{notice}</div>}
+
+      <section className="settings-section">
+        <h2>Avatar</h2>
+        <p className="settings-hint">Images are cropped to a square. JPEG, PNG, GIF or WebP, up to 5MB.</p>
+        <div className="settings-avatar-row">
+          <div className="settings-avatar">
+            {user?.avatar ? (
+              <img src={user.avatar} alt={user.username} />
+            ) : (
+              <span>{user?.username?.charAt(0).toUpperCase()}</span>
+            )}
+          </div>
+          <div className="settings-actions">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/jpeg,image/png,image/gif,image/webp"
+              onChange={handleAvatarSelected}
+              hidden
+            />
+            <button
+              type="button"
+              className="settings-primary-btn"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={loading}
+            >
+              Upload new
+            </button>
+            {user?.avatar && (
+              <button
+                type="button"
+                className="settings-secondary-btn"
+                onClick={handleRemoveAvatar}
+                disabled={loading}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h2>About you</h2>
+        <p className="settings-hint">Shown to other members when they click your name in a conversation.</p>
+        <form className="settings-form" onSubmit={handleSubmit}>
+          <label>
+            Display name
+            <input
+              type="text"
+              name="displayName"
+              value={formData.displayName}
+              onChange={handleChange}
+              placeholder={user?.username}
+              maxLength={50}
+            />
+          </label>
+          <label>
+            Bio
+            <textarea
+              name="bio"
+              value={formData.bio}
+              onChange={handleChange}
+              maxLength={300}
+              rows={4}
+            />
+          </label>
+          <label>
+            Time zone
+            <select name="timezone" value={formData.timezone} onChange={handleChange}>
+              <option value="">Not shown</option>
+              {timeZones.map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </label>
+          {formData.timezone !== detectedTimeZone && (
+            <button
+              type="button"
+              className="settings-link-btn"
+              onClick={() => setFormData({ ...formData, timezone: detectedTimeZone })}
+            >
+              Use my current time zone ({detectedTimeZone})
+            </button>
+          )}
+          <div className="settings-actions">
+            <button type="submit" className="settings-primary-btn" disabled={loading}>
+              Save profile
+            </button>
+          </div>
+        </form>
+      </section>
+    </div>
+  );
+}
+
+export default ProfileSettings;
@@ -0,0 +1,272 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import './Settings.css';
+
+// Account security: two-factor enrolment, recovery codes and turning 2FA off
+function SecuritySettings() {
+  const {
+    fetchTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+  } = useAuth();
+  const [status, setStatus] = useState(null);
+  // Enrolment moves from 'password' to 'scan' once a secret has been issued
+  const [enrolment, setEnrolment] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadStatus = useCallback(async () => {
+    const result = await fetchTwoFactorStatus();
+    if (result.success) {
+      setStatus({ enabled: result.enabled, recoveryCodesRemaining: result.recoveryCodesRemaining });
+    } else {
+      setError(result.message);
+    }
+  }, [fetchTwoFactorStatus]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForm = () => {
+    setPassword('');
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  const secondFactor = () => (useRecoveryCode ? { recoveryCode: code } : { code });
+
+  const handleStartSetup = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await setupTwoFactor(password);
+    if (result.success) {
+      setEnrolment({ step: 'scan', secret: result.secret, qrCode: result.qrCode });
+      setPassword('');
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleConfirmSetup = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = await enableTwoFactor(code);
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+      setEnrolment(null);
+      resetForm();
+      setNotice('Two-factor authentication is on');
+      loadStatus();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+    setLoading(true);
+    setError('');
+
+    const result = await disableTwoFactor({ password, ...secondFactor() });
+    if (result.success) {
+      resetForm();
+      setRecoveryCodes(null);
+      setNotice(result.message);
+      loadStatus();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleRegenerate = async () => {
+    setLoading(true);
+    setError('');
+
+    const result = await regenerateRecoveryCodes(secondFactor());
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+      resetForm();
+      setNotice('New recovery codes generated; the old ones no longer work');
+      loadStatus();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setNotice('Recovery codes copied');
+    } catch {
+      setError('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="settings-tab">
+      {error && <div className="settings-error">{error}</div>}
+      {notice && <div className="settings-notice">{notice}</div>}
+
+      <section className="settings-section">
+        <h2>Two-factor authentication</h2>
+        <p className="settings-hint">
+          Ask for a code from an authenticator app, in addition to your password, when you sign in.
+        </p>
+
+        {!status ? (
+          <p className="settings-hint">Loading...</p>
+        ) : status.enabled ? (
+          <>
+            <p className="settings-status settings-status-on">
+              ✓ Enabled · {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left
+            </p>
+
+            <form className="settings-form" onSubmit={handleDisable}>
+              <label>
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                <input
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  required
+                />
+              </label>
+              <button
+                type="button"
+                className="settings-link-btn"
+                onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+              >
+                {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+              </button>
+
+              <div className="settings-actions">
+                <button
+                  type="button"
+                  className="settings-secondary-btn"
+                  onClick={handleRegenerate}
+                  disabled={loading || !code}
+                >
+                  New recovery codes
+                </button>
+              </div>
+
+              <label>
+                Password (to turn two-factor off)
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                />
+              </label>
+              <div className="settings-actions">
+                <button type="submit" className="settings-danger-btn" disabled={loading || !code || !password}>
+                  Turn off two-factor
+                </button>
+              </div>
+            </form>
+          </>
+        ) : enrolment?.step === 'scan' ? (
+          <form className="settings-form" onSubmit={handleConfirmSetup}>
+            <p className="settings-hint">
+              Scan this QR code with your authenticator app, or enter the key manually.
+            </p>
+            <img className="settings-qr" src={enrolment.qrCode} alt="Two-factor QR code" />
+            <code className="settings-secret">{enrolment.secret}</code>
+            <label>
+              Code from the app
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                autoComplete="one-time-code"
+                inputMode="numeric"
+                placeholder="123456"
+                required
+              />
+            </label>
+            <div className="settings-actions">
+              <button type="button" className="settings-secondary-btn" onClick={() => { setEnrolment(null); resetForm(); }}>
+                Cancel
+              </button>
+              <button type="submit" className="settings-primary-btn" disabled={loading}>
+                Turn on
+              </button>
+            </div>
+          </form>
+        ) : enrolment?.step === 'password' ? (
+          <form className="settings-form" onSubmit={handleStartSetup}>
+            <label>
+              Confirm your password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+            </label>
+            <div className="settings-actions">
+              <button type="button" className="settings-secondary-btn" onClick={() => { setEnrolment(null); resetForm(); }}>
+                Cancel
+              </button>
+              <button type="submit" className="settings-primary-btn" disabled={loading}>
+                Continue
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="settings-actions">
+            <button className="settings-primary-btn" onClick={() => { setNotice(''); setEnrolment({ step: 'password' }); }}>
+              Set up two-factor
+            </button>
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="settings-recovery-codes">
+            <p>
+              <strong>Save these recovery codes.</strong> Each one signs you in once if you lose your
+              authenticator. They will not be shown again.
+            </p>
+            <ul>
+              {recoveryCodes.map(recoveryCode => (
+                <li key={recoveryCode}><code>{recoveryCode}</code></li>
+              ))}
+            </ul>
+            <div className="settings-actions">
+              <button className="settings-secondary-btn" onClick={handleCopyCodes}>Copy</button>
+              <button className="settings-primary-btn" onClick={() => setRecoveryCodes(null)}>I've saved them</button>
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default SecuritySettings;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Routes, Route, Link, NavLink, Navigate } from 'react-router-dom';
+import AccountSettings from './AccountSettings';
+import ProfileSettings from './ProfileSettings';
+import SecuritySettings from './SecuritySettings';
+import PreferenceSettings from './PreferenceSettings';
+import './Settings.css';
+
+const TABS = [
+  { to: '/dashboard/settings', label: 'Account', end: true },
+  { to: '/dashboard/settings/profile', label: 'Profile' },
+  { to: '/dashboard/settings/security', label: 'Security' },
+  { to: '/dashboard/settings/preferences', label: 'Preferences' }
+];
+
+// Settings inside the dashboard, one tab per area
+function SettingsPage() {
+  return (
+    <div className="settings-page settings-embedded">
+      <div className="settings-container">
+        <Link to="/dashboard" className="settings-back">← Back to chat</Link>
+        <h1>Settings</h1>
+
+        <nav className="settings-tabs">
+          {TABS.map(tab => (
+            <NavLink
+              key={tab.to}
+              to={tab.to}
+              end={tab.end}
+              className={({ isActive }) => `settings-tab-link ${isActive ? 'active' : ''}`}
+            >
+              {tab.label}
+            </NavLink>
+          ))}
+        </nav>
+
+        <Routes>
+          <Route index element={<AccountSettings />} />
+          <Route path="profile" element={<ProfileSettings />} />
+          <Route path="security" element={<SecuritySettings />} />
+          <Route path="preferences" element={<PreferenceSettings />} />
+          <Route path="*" element={<Navigate to="/dashboard/settings" replace />} />
+        </Routes>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPage;
@@ -1,13 +1,17 @@
 import React, { useState } from 'react';
 import { useTopic } from '../../contexts/TopicContext';
+import TagEditor from './TagEditor';
 import './Topics.css';
 
-function CreateTopicModal({ onClose }) {
-  const { createTopic } = useTopic();
+// Pass an existing topic to edit it instead of creating a new one
+function CreateTopicModal({ onClose, topic }) {
+  const { createTopic, updateTopic } = useTopic();
+  const isEditing = Boolean(topic);
   const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    isPrivate: false
+    name: topic?.name || '',
+    description: topic?.description || '',
+    isPrivate: topic?.isPrivate || false,
+    tags: topic?.tags?.map(({ name, color }) => ({ name, color })) || []
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -31,7 +35,9 @@ function CreateTopicModal({ onClose }) {
       return;
     }
 
-    const result = await createTopic(formData);
+    const result = isEditing
+      ? await updateTopic(topic._id, formData)
+      : await createTopic(formData);
     
     if (result.success) {
       onClose();
@@ -46,7 +52,7 @@ function CreateTopicModal({ onClose }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={e => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>Create New Topic</h2>
+          <h2>{isEditing ? 'Edit Topic' : 'Create New Topic'}</h2>
           <button className="close-btn" onClick={onClose}>×</button>
         </div>
 
@@ -82,6 +88,15 @@ function CreateTopicModal({ onClose }) {
             />
           </div>
 
+          <div className="form-group">
+            <label>Tags</label>
+            <TagEditor
+              tags={formData.tags}
+              onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+              disabled={loading}
+            />
+          </div>
+
           <div className="form-group checkbox-group">
             <label>
               <input
@@ -101,7 +116,9 @@ function CreateTopicModal({ onClose }) {
               Cancel
             </button>
             <button type="submit" disabled={loading}>
-              {loading ? 'Creating...' : 'Create Topic'}
+              {isEditing
+                ? (loading ? 'Saving...' : 'Save Changes')
+                : (loading ? 'Creating...' : 'Create Topic')}
             </button>
           </div>
         </form>
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useTopic } from '../../contexts/TopicContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { getConversationName, parseUsernames } from '../../utils/conversations';
+import { formatUnreadCount } from '../../utils/unread';
+import './Topics.css';
+
+function DirectMessageList() {
+  const {
+    conversations,
+    startConversation,
+    selectTopic,
+    currentTopic,
+    mentionCounts,
+    unreadCounts
+  } = useTopic();
+  const { user } = useAuth();
+  const [showNewConversation, setShowNewConversation] = useState(false);
+  const [usernamesInput, setUsernamesInput] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  const handleStartConversation = async (e) => {
+    e.preventDefault();
+    const usernames = parseUsernames(usernamesInput);
+    if (usernames.length === 0) return;
+
+    setStarting(true);
+    const result = await startConversation(usernames);
+    setStarting(false);
+
+    if (!result.success) {
+      alert(result.message);
+      return;
+    }
+
+    setUsernamesInput('');
+    setShowNewConversation(false);
+    selectTopic(result.conversation);
+  };
+
+  const formatPreview = (message) => {
+    if (!message) return 'No messages yet';
+    // Live updates carry a populated sender, the initial load only its id
+    const senderId = message.sender?._id || message.sender;
+    const author = senderId === user?.id ? 'You: ' : '';
+    if (message.messageType !== 'text') {
+      return `${author}📎 Attachment`;
+    }
+    return `${author}${message.content}`;
+  };
+
+  return (
+    <div className="dm-sidebar">
+      <div className="sidebar-header dm-sidebar-header">
+        <h3>Direct Messages</h3>
+        <button
+          className="create-topic-btn-sidebar"
+          onClick={() => setShowNewConversation(!showNewConversation)}
+          title="New conversation"
+        >
+          +
+        </button>
+      </div>
+
+      {showNewConversation && (
+        <form className="invite-code-form" onSubmit={handleStartConversation}>
+          <input
+            type="text"
+            value={usernamesInput}
+            onChange={(e) => setUsernamesInput(e.target.value)}
+            placeholder="Usernames, e.g. alice, bob"
+            autoFocus
+          />
+          <button type="submit" disabled={starting || !usernamesInput.trim()}>
+            {starting ? '...' : 'Start'}
+          </button>
+        </form>
+      )}
+
+      {conversations.length === 0 ? (
+        <div className="dm-empty">No conversations yet</div>
+      ) : (
+        <div className="dm-list">
+          {conversations.map(conversation => (
+            <div
+              key={conversation._id}
+              className={`topic-item dm-item ${currentTopic?._id === conversation._id ? 'topic-active' : ''} ${unreadCounts[conversation._id] > 0 ? 'topic-unread' : ''}`}
+              onClick={() => selectTopic(conversation)}
+            >
+              <div className="topic-item-name">
+                {conversation.members.length > 2 ? '👥' : '💬'} {getConversationName(conversation, user?.id)}
+                {mentionCounts[conversation._id] > 0 && (
+                  <span className="mention-badge" title="Unread mentions">@{mentionCounts[conversation._id]}</span>
+                )}
+                {unreadCounts[conversation._id] > 0 && (
+                  <span className="unread-badge" title="Unread messages">
+                    {formatUnreadCount(unreadCounts[conversation._id])}
+                  </span>
+                )}
+              </div>
+              <div className="dm-preview">{formatPreview(conversation.lastMessage)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DirectMessageList;
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { useTopic } from '../../contexts/TopicContext';
+import './Topics.css';
+
+function InviteLinkModal({ code, onClose }) {
+  const { previewInviteLink, acceptInviteLink, requestToJoin, selectTopic, topics } = useTopic();
+  const [preview, setPreview] = useState(null);
+  const [isMember, setIsMember] = useState(false);
+  const [requestMessage, setRequestMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    const loadPreview = async () => {
+      setLoading(true);
+      const result = await previewInviteLink(code);
+
+      if (result.success) {
+        setPreview(result.invitation);
+        setIsMember(result.isMember);
+      } else {
+        setError(result.message);
+      }
+      setLoading(false);
+    };
+
+    loadPreview();
+  }, [code, previewInviteLink]);
+
+  const handleJoin = async () => {
+    setLoading(true);
+    setError('');
+
+    const result = await acceptInviteLink(code);
+    if (result.success) {
+      selectTopic(result.topic);
+      onClose();
+    } else {
+      setError(result.message);
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = () => {
+    const topic = topics.find(t => t._id === preview.topic._id);
+    if (topic) selectTopic(topic);
+    onClose();
+  };
+
+  const handleRequest = async () => {
+    setLoading(true);
+    setError('');
+
+    const result = await requestToJoin(preview.topic._id, requestMessage.trim());
+    if (result.success) {
+      setNotice('Request sent - an admin will review it soon');
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Topic Invitation</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="invite-modal-body">
+          {error && <div className="error-message">{error}</div>}
+          {notice && <div className="success-message">{notice}</div>}
+
+          {loading && !preview && <p className="invite-empty">Loading invitation...</p>}
+
+          {preview && (
+            <>
+              <div className="invite-preview">
+                <h3>
+                  {preview.topic.name}
+                  {preview.topic.isPrivate && <span className="private-indicator">🔒</span>}
+                </h3>
+                {preview.topic.description && <p>{preview.topic.description}</p>}
+                <small>
+                  Invited by {preview.inviter?.username} · {preview.topic.memberCount} member
+                  {preview.topic.memberCount !== 1 ? 's' : ''}
+                </small>
+              </div>
+
+              {isMember ? (
+                <div className="modal-actions">
+                  <button type="submit" onClick={handleOpen}>Open topic</button>
+                </div>
+              ) : preview.valid ? (
+                <div className="modal-actions">
+                  <button type="button" onClick={onClose} disabled={loading}>Not now</button>
+                  <button type="submit" onClick={handleJoin} disabled={loading}>
+                    {loading ? 'Joining...' : 'Join topic'}
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <p className="invite-empty">This invite link has expired or reached its limit.</p>
+                  {preview.topic.isPrivate && !notice && (
+                    <div className="form-group">
+                      <label htmlFor="requestMessage">Request to join instead</label>
+                      <textarea
+                        id="requestMessage"
+                        value={requestMessage}
+                        onChange={(e) => setRequestMessage(e.target.value)}
+                        placeholder="Optional message for the admins"
+                        maxLength={200}
+                        rows={2}
+                        disabled={loading}
+                      />
+                      <div className="modal-actions">
+                        <button type="submit" onClick={handleRequest} disabled={loading}>
+                          Send join request
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InviteLinkModal;
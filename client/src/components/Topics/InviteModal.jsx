@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTopic } from '../../contexts/TopicContext';
+import { buildInviteLink } from '../../utils/invites';
+import './Topics.css';
+
+const expiryOptions = [
+  { label: '1 hour', value: 1 },
+  { label: '24 hours', value: 24 },
+  { label: '7 days', value: 168 },
+  { label: 'Never', value: '' }
+];
+
+function InviteModal({ topic, onClose }) {
+  const {
+    createInvitation,
+    fetchTopicInvitations,
+    revokeInvitation,
+    fetchJoinRequests,
+    resolveJoinRequest
+  } = useTopic();
+  const [username, setUsername] = useState('');
+  const [linkSettings, setLinkSettings] = useState({ expiresInHours: 24, maxUses: '' });
+  const [invitations, setInvitations] = useState([]);
+  const [joinRequests, setJoinRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadData = useCallback(async () => {
+    const [invitationResult, joinRequestResult] = await Promise.all([
+      fetchTopicInvitations(topic._id),
+      topic.isPrivate ? fetchJoinRequests(topic._id) : Promise.resolve({ success: true, joinRequests: [] })
+    ]);
+
+    if (invitationResult.success) setInvitations(invitationResult.invitations);
+    if (joinRequestResult.success) setJoinRequests(joinRequestResult.joinRequests);
+  }, [topic._id, topic.isPrivate, fetchTopicInvitations, fetchJoinRequests]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleDirectInvite = async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await createInvitation(topic._id, { type: 'direct', username: username.trim() });
+    if (result.success) {
+      setNotice(result.message);
+      setUsername('');
+      loadData();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCreateLink = async () => {
+    setLoading(true);
+    setError('');
+    setNotice('');
+
+    const result = await createInvitation(topic._id, {
+      type: 'link',
+      expiresInHours: linkSettings.expiresInHours || null,
+      maxUses: linkSettings.maxUses ? parseInt(linkSettings.maxUses) : null
+    });
+
+    if (result.success) {
+      setNotice('Invite link created');
+      loadData();
+    } else {
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const handleCopyLink = async (code) => {
+    try {
+      await navigator.clipboard.writeText(buildInviteLink(code));
+      setNotice('Invite link copied to clipboard');
+    } catch {
+      setError('Could not copy link - copy it manually');
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    const result = await revokeInvitation(topic._id, invitationId);
+    if (result.success) {
+      setInvitations(prev => prev.filter(invitation => invitation._id !== invitationId));
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const handleResolve = async (requestId, approve) => {
+    const result = await resolveJoinRequest(topic._id, requestId, approve);
+    if (result.success) {
+      setJoinRequests(prev => prev.filter(request => request._id !== requestId));
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const formatExpiry = (expiresAt) => {
+    if (!expiresAt) return 'Never expires';
+    return `Expires ${new Date(expiresAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })}`;
+  };
+
+  const inviteLinks = invitations.filter(invitation => invitation.type === 'link');
+  const directInvitations = invitations.filter(invitation => invitation.type === 'direct');
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Invite to {topic.name}</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="invite-modal-body">
+          {error && <div className="error-message">{error}</div>}
+          {notice && <div className="success-message">{notice}</div>}
+
+          <section className="invite-section">
+            <h4>Invite a user</h4>
+            <form className="invite-row" onSubmit={handleDirectInvite}>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                disabled={loading}
+                maxLength={20}
+              />
+              <button type="submit" className="invite-primary-btn" disabled={loading || !username.trim()}>
+                Invite
+              </button>
+            </form>
+
+            {directInvitations.length > 0 && (
+              <ul className="invite-list">
+                {directInvitations.map(invitation => (
+                  <li key={invitation._id}>
+                    <span>
+                      <strong>{invitation.invitee?.username}</strong>
+                      <small>{formatExpiry(invitation.expiresAt)}</small>
+                    </span>
+                    <button className="invite-secondary-btn" onClick={() => handleRevoke(invitation._id)}>
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="invite-section">
+            <h4>Invite links</h4>
+            <div className="invite-row">
+              <select
+                value={linkSettings.expiresInHours}
+                onChange={(e) => setLinkSettings(prev => ({ ...prev, expiresInHours: e.target.value }))}
+                disabled={loading}
+              >
+                {expiryOptions.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={linkSettings.maxUses}
+                onChange={(e) => setLinkSettings(prev => ({ ...prev, maxUses: e.target.value }))}
+                placeholder="Max uses (∞)"
+                disabled={loading}
+              />
+              <button className="invite-primary-btn" onClick={handleCreateLink} disabled={loading}>
+                Create link
+              </button>
+            </div>
+
+            {inviteLinks.length > 0 && (
+              <ul className="invite-list">
+                {inviteLinks.map(invitation => (
+                  <li key={invitation._id}>
+                    <span>
+                      <code>{invitation.code}</code>
+                      <small>
+                        {formatExpiry(invitation.expiresAt)} · {invitation.uses}
+                        {invitation.maxUses ? `/${invitation.maxUses}` : ''} uses
+                      </small>
+                    </span>
+                    <span className="invite-list-actions">
+                      <button className="invite-secondary-btn" onClick={() => handleCopyLink(invitation.code)}>
+                        Copy
+                      </button>
+                      <button className="invite-secondary-btn" onClick={() => handleRevoke(invitation._id)}>
+                        Revoke
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          {topic.isPrivate && (
+            <section className="invite-section">
+              <h4>Join requests</h4>
+              {joinRequests.length === 0 ? (
+                <p className="invite-empty">No pending requests</p>
+              ) : (
+                <ul className="invite-list">
+                  {joinRequests.map(request => (
+                    <li key={request._id}>
+                      <span>
+                        <strong>{request.user?.username}</strong>
+                        {request.message && <small>{request.message}</small>}
+                      </span>
+                      <span className="invite-list-actions">
+                        <button className="invite-primary-btn" onClick={() => handleResolve(request._id, true)}>
+                          Approve
+                        </button>
+                        <button className="invite-secondary-btn" onClick={() => handleResolve(request._id, false)}>
+                          Deny
+                        </button>
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default InviteModal;
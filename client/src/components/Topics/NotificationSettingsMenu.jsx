@@ -0,0 +1,101 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTopic } from '../../contexts/TopicContext';
+import './Topics.css';
+
+const levelOptions = [
+  { value: 'all', label: 'All messages' },
+  { value: 'mentions', label: 'Mentions only' },
+  { value: 'none', label: 'Nothing' }
+];
+
+const muteOptions = [
+  { value: '1h', label: 'For 1 hour' },
+  { value: '8h', label: 'For 8 hours' },
+  { value: 'indefinite', label: 'Until I unmute' }
+];
+
+function NotificationSettingsMenu({ topic, onClose }) {
+  const { notificationPreferences, updateNotificationPreference } = useTopic();
+  const [saving, setSaving] = useState(false);
+  const menuRef = useRef(null);
+  const preference = notificationPreferences[topic._id] || { level: 'all', muted: false, mutedUntil: null };
+
+  // Close the menu when clicking outside of it (the toggle button handles itself)
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (e.target.closest('.notification-settings-btn-small')) return;
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [onClose]);
+
+  const handleChange = async (changes) => {
+    setSaving(true);
+    const result = await updateNotificationPreference(topic._id, changes);
+    setSaving(false);
+
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  const formatMutedUntil = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <div className="notification-settings-menu" ref={menuRef} onClick={(e) => e.stopPropagation()}>
+      <div className="notification-settings-title">Notify me about</div>
+      {levelOptions.map(option => (
+        <label key={option.value} className="notification-settings-option">
+          <input
+            type="radio"
+            name={`notification-level-${topic._id}`}
+            checked={preference.level === option.value}
+            onChange={() => handleChange({ level: option.value })}
+            disabled={saving}
+          />
+          {option.label}
+        </label>
+      ))}
+
+      <div className="notification-settings-title">Mute</div>
+      {preference.muted ? (
+        <>
+          <div className="notification-settings-muted">
+            🔕 Muted {preference.mutedUntil ? `until ${formatMutedUntil(preference.mutedUntil)}` : 'until you unmute'}
+          </div>
+          <button
+            className="notification-settings-btn"
+            onClick={() => handleChange({ mute: 'off' })}
+            disabled={saving}
+          >
+            Unmute
+          </button>
+        </>
+      ) : (
+        muteOptions.map(option => (
+          <button
+            key={option.value}
+            className="notification-settings-btn"
+            onClick={() => handleChange({ mute: option.value })}
+            disabled={saving}
+          >
+            {option.label}
+          </button>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default NotificationSettingsMenu;
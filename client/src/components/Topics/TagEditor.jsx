@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  TAG_COLORS,
+  normalizeTagName,
+  validateTagName,
+  tagChipStyle
+} from '../../utils/tags';
+import './Topics.css';
+
+function TagEditor({ tags, onChange, disabled }) {
+  const [input, setInput] = useState('');
+  const [color, setColor] = useState(TAG_COLORS[0]);
+  const [error, setError] = useState('');
+
+  const addTag = () => {
+    const name = normalizeTagName(input);
+    const validationError = validateTagName(name, tags);
+
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onChange([...tags, { name, color }]);
+    setInput('');
+    setError('');
+  };
+
+  const removeTag = (name) => {
+    onChange(tags.filter(tag => tag.name !== name));
+    setError('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      if (input.trim()) addTag();
+    } else if (e.key === 'Backspace' && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1].name);
+    }
+  };
+
+  return (
+    <div className="tag-editor">
+      {tags.length > 0 && (
+        <div className="tag-chips">
+          {tags.map(tag => (
+            <span key={tag.name} className="tag-chip" style={tagChipStyle(tag.color)}>
+              #{tag.name}
+              <button
+                type="button"
+                className="tag-chip-remove"
+                onClick={() => removeTag(tag.name)}
+                disabled={disabled}
+                title={`Remove ${tag.name}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {tags.length < MAX_TAGS && (
+        <div className="tag-editor-row">
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={disabled}
+            placeholder="Add a tag and press Enter"
+            maxLength={MAX_TAG_LENGTH}
+          />
+          <div className="tag-color-options">
+            {TAG_COLORS.map(option => (
+              <button
+                key={option}
+                type="button"
+                className={`tag-color-swatch ${color === option ? 'selected' : ''}`}
+                style={{ backgroundColor: option }}
+                onClick={() => setColor(option)}
+                disabled={disabled}
+                title={option}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {error && <small className="tag-editor-error">{error}</small>}
+      <small>{tags.length}/{MAX_TAGS} tags</small>
+    </div>
+  );
+}
+
+export default TagEditor;
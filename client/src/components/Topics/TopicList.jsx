@@ -1,14 +1,106 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useTopic } from '../../contexts/TopicContext';
 import { useAuth } from '../../contexts/AuthContext';
+import { extractInviteCode } from '../../utils/invites';
+import { tagChipStyle } from '../../utils/tags';
+import { formatUnreadCount } from '../../utils/unread';
 import CreateTopicModal from './CreateTopicModal';
+import InviteModal from './InviteModal';
+import InviteLinkModal from './InviteLinkModal';
+import NotificationSettingsMenu from './NotificationSettingsMenu';
 import './Topics.css';
 
 function TopicList() {
-  const { topics, joinTopic, leaveTopic, deleteTopic, selectTopic, loading, currentTopic } = useTopic();
+  const {
+    topics,
+    joinTopic,
+    leaveTopic,
+    deleteTopic,
+    selectTopic,
+    loading,
+    currentTopic,
+    invitations,
+    joinRequestCounts,
+    mentionCounts,
+    unreadCounts,
+    markAllRead,
+    notificationPreferences,
+    acceptInvitation,
+    declineInvitation,
+    tags,
+    tagFilter,
+    setTagFilter,
+    fetchTags
+  } = useTopic();
   const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [inviteTopic, setInviteTopic] = useState(null);
+  const [editTopic, setEditTopic] = useState(null);
+  const [inviteCode, setInviteCode] = useState('');
+  const [showInviteInput, setShowInviteInput] = useState(false);
+  const [inviteInput, setInviteInput] = useState('');
+  const [showTagBrowser, setShowTagBrowser] = useState(false);
   const [actionLoading, setActionLoading] = useState({});
+  const [settingsTopicId, setSettingsTopicId] = useState(null);
+
+  // Open invite links shared as /dashboard?invite=<code>
+  useEffect(() => {
+    const code = searchParams.get('invite');
+    if (code) {
+      setInviteCode(code);
+      searchParams.delete('invite');
+      setSearchParams(searchParams, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  const handleInviteInputSubmit = (e) => {
+    e.preventDefault();
+    const code = extractInviteCode(inviteInput);
+    if (code) {
+      setInviteCode(code);
+      setInviteInput('');
+      setShowInviteInput(false);
+    }
+  };
+
+  const handleToggleTagBrowser = () => {
+    if (!showTagBrowser) {
+      fetchTags();
+    }
+    setShowTagBrowser(!showTagBrowser);
+  };
+
+  // Clicking the active tag again clears the filter
+  const handleTagFilter = (tagName) => {
+    setTagFilter(tagFilter === tagName ? '' : tagName);
+  };
+
+  const hasUnread = Object.values(unreadCounts).some(count => count > 0) ||
+    Object.values(mentionCounts).some(count => count > 0);
+
+  const handleMarkAllRead = async () => {
+    const result = await markAllRead();
+    if (!result.success) {
+      alert(result.message);
+    }
+  };
+
+  const handleInvitationResponse = async (invitationId, accept) => {
+    setActionLoading(prev => ({ ...prev, [invitationId]: accept ? 'accepting' : 'declining' }));
+    const result = accept
+      ? await acceptInvitation(invitationId)
+      : await declineInvitation(invitationId);
+
+    if (!result.success) {
+      alert(result.message);
+    } else if (accept) {
+      selectTopic(result.topic);
+    }
+
+    setActionLoading(prev => ({ ...prev, [invitationId]: null }));
+  };
 
   const handleJoinTopic = async (topicId) => {
     setActionLoading(prev => ({ ...prev, [topicId]: 'joining' }));
@@ -55,6 +147,10 @@ function TopicList() {
     return topic.creator._id === user?.id;
   };
 
+  const isUserAdmin = (topic) => {
+    return topic.admins?.some(admin => (admin._id || admin) === user?.id);
+  };
+
   if (loading) {
     return (
       <div className="topic-sidebar">
@@ -67,32 +163,143 @@ function TopicList() {
     <div className="topic-sidebar">
       <div className="sidebar-header">
         <h3>Topics</h3>
-        <button 
-          className="create-topic-btn-sidebar"
-          onClick={() => setShowCreateModal(true)}
-          title="Create new topic"
-        >
-          +
-        </button>
+        <div className="sidebar-header-actions">
+          <button 
+            className="create-topic-btn-sidebar"
+            onClick={handleMarkAllRead}
+            disabled={!hasUnread}
+            title="Mark all as read"
+          >
+            ✓
+          </button>
+          <button 
+            className="create-topic-btn-sidebar"
+            onClick={handleToggleTagBrowser}
+            title="Browse topics by tag"
+          >
+            🏷️
+          </button>
+          <button 
+            className="create-topic-btn-sidebar"
+            onClick={() => setShowInviteInput(!showInviteInput)}
+            title="Join with an invite link"
+          >
+            🔗
+          </button>
+          <button 
+            className="create-topic-btn-sidebar"
+            onClick={() => setShowCreateModal(true)}
+            title="Create new topic"
+          >
+            +
+          </button>
+        </div>
       </div>
 
+      {showInviteInput && (
+        <form className="invite-code-form" onSubmit={handleInviteInputSubmit}>
+          <input
+            type="text"
+            value={inviteInput}
+            onChange={(e) => setInviteInput(e.target.value)}
+            placeholder="Paste invite link or code"
+            autoFocus
+          />
+          <button type="submit" disabled={!inviteInput.trim()}>Go</button>
+        </form>
+      )}
+
+      {showTagBrowser && (
+        <div className="tag-browser">
+          {tags.length === 0 ? (
+            <span className="tag-browser-empty">No tags yet</span>
+          ) : (
+            tags.map(tag => (
+              <button
+                key={tag.name}
+                className={`tag-chip tag-chip-button ${tagFilter === tag.name ? 'tag-chip-active' : ''}`}
+                style={tagChipStyle(tag.color)}
+                onClick={() => handleTagFilter(tag.name)}
+              >
+                #{tag.name} <span className="tag-count">{tag.count}</span>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+
+      {tagFilter && (
+        <div className="tag-filter-bar">
+          <span>Showing topics tagged <strong>#{tagFilter}</strong></span>
+          <button onClick={() => setTagFilter('')} title="Clear tag filter">×</button>
+        </div>
+      )}
+
+      {invitations.length > 0 && (
+        <div className="invitations-section">
+          <div className="invitations-title">✉️ Invitations ({invitations.length})</div>
+          {invitations.map(invitation => (
+            <div key={invitation._id} className="invitation-item">
+              <div className="invitation-info">
+                <span className="invitation-topic">
+                  {invitation.topic?.name}
+                  {invitation.topic?.isPrivate && <span className="private-indicator">🔒</span>}
+                </span>
+                <span className="invitation-from">from {invitation.inviter?.username}</span>
+              </div>
+              <div className="invitation-actions">
+                <button
+                  className="invitation-accept-btn"
+                  onClick={() => handleInvitationResponse(invitation._id, true)}
+                  disabled={!!actionLoading[invitation._id]}
+                >
+                  {actionLoading[invitation._id] === 'accepting' ? '...' : 'Accept'}
+                </button>
+                <button
+                  className="invitation-decline-btn"
+                  onClick={() => handleInvitationResponse(invitation._id, false)}
+                  disabled={!!actionLoading[invitation._id]}
+                >
+                  {actionLoading[invitation._id] === 'declining' ? '...' : 'Decline'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {topics.length === 0 ? (
         <div className="no-topics-sidebar">
-          <p>No topics yet. Create your first topic!</p>
+          <p>
+            {tagFilter
+              ? `No topics tagged #${tagFilter}.`
+              : 'No topics yet. Create your first topic!'}
+          </p>
         </div>
       ) : (
         <div className="topics-list">
           {topics.map(topic => (
             <div 
               key={topic._id} 
-              className={`topic-item ${currentTopic?._id === topic._id ? 'topic-active' : ''}`}
+              className={`topic-item ${currentTopic?._id === topic._id ? 'topic-active' : ''} ${unreadCounts[topic._id] > 0 ? 'topic-unread' : ''}`}
               onClick={() => selectTopic(topic)}
             >
               <div className="topic-item-header">
                 <div className="topic-item-name">
                   {topic.name}
                   {topic.isPrivate && <span className="private-indicator">🔒</span>}
+                  {notificationPreferences[topic._id]?.muted && (
+                    <span className="muted-indicator" title="Muted">🔕</span>
+                  )}
                 </div>
+                {mentionCounts[topic._id] > 0 && (
+                  <span className="mention-badge" title="Unread mentions">@{mentionCounts[topic._id]}</span>
+                )}
+                {unreadCounts[topic._id] > 0 && (
+                  <span className="unread-badge" title="Unread messages">
+                    {formatUnreadCount(unreadCounts[topic._id])}
+                  </span>
+                )}
               </div>
               
               <div className="topic-item-meta">
@@ -101,8 +308,67 @@ function TopicList() {
                 </span>
               </div>
 
+              {topic.tags?.length > 0 && (
+                <div className="tag-chips topic-item-tags">
+                  {topic.tags.map(tag => (
+                    <button
+                      key={tag.name}
+                      className="tag-chip tag-chip-button"
+                      style={tagChipStyle(tag.color)}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleTagFilter(tag.name);
+                      }}
+                      title={`Show topics tagged #${tag.name}`}
+                    >
+                      #{tag.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               {isUserMember(topic) ? (
                 <div className="topic-item-actions">
+                  <button 
+                    className="notification-settings-btn-small"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setSettingsTopicId(settingsTopicId === topic._id ? null : topic._id);
+                    }}
+                    title="Notification settings"
+                  >
+                    🔔
+                  </button>
+
+                  {isUserAdmin(topic) && (
+                    <button 
+                      className="edit-topic-btn-small"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditTopic(topic);
+                      }}
+                      title="Edit topic"
+                    >
+                      ✏️
+                    </button>
+                  )}
+
+                  {isUserAdmin(topic) && (
+                    <button 
+                      className="invite-topic-btn-small"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setInviteTopic(topic);
+                      }}
+                      title="Invite members"
+                    >
+                      ✉️
+                      {joinRequestCounts[topic._id] > 0 && (
+                        <span className="join-request-badge">{joinRequestCounts[topic._id]}</span>
+                      )}
+                    </button>
+                  )}
+
                   {!isUserCreator(topic) && (
                     <button 
                       className="leave-topic-btn-small"
@@ -148,6 +414,10 @@ function TopicList() {
                   </div>
                 )
               )}
+
+              {settingsTopicId === topic._id && (
+                <NotificationSettingsMenu topic={topic} onClose={() => setSettingsTopicId(null)} />
+              )}
             </div>
           ))}
         </div>
@@ -156,6 +426,18 @@ function TopicList() {
       {showCreateModal && (
         <CreateTopicModal onClose={() => setShowCreateModal(false)} />
       )}
+
+      {editTopic && (
+        <CreateTopicModal topic={editTopic} onClose={() => setEditTopic(null)} />
+      )}
+
+      {inviteTopic && (
+        <InviteModal topic={inviteTopic} onClose={() => setInviteTopic(null)} />
+      )}
+
+      {inviteCode && (
+        <InviteLinkModal code={inviteCode} onClose={() => setInviteCode('')} />
+      )}
     </div>
   );
 }
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useState, useEffect } from 'react';
 import api from '../utils/api';
 
 const AuthContext = createContext();
@@ -29,10 +29,12 @@ export function AuthProvider({ children }) {
           // Verify token is still valid by making a test API call
           const response = await api.get('/auth/me'); // Add this endpoint to your server
           setUser(response.data.user);
-          setToken(savedToken);
+          // The request may have refreshed an expired access token
+          setToken(localStorage.getItem('token'));
         } catch (error) {
           // Token is invalid, remove it
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           setToken(null);
           setUser(null);
         }
@@ -46,10 +48,21 @@ export function AuthProvider({ children }) {
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { token: newToken, user: userData } = response.data;
+
+      // Accounts with two-factor answer with a challenge for the second step
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
-      // Save token to localStorage and state
+      // Save tokens to localStorage and state
       localStorage.setItem('token', newToken);
+      localStorage.setItem('refreshToken', refreshToken);
       setToken(newToken);
       setUser(userData);
       
@@ -67,10 +80,11 @@ export function AuthProvider({ children }) {
   const register = async (username, email, password) => {
     try {
       const response = await api.post('/auth/register', { username, email, password });
-      const { token: newToken, user: userData } = response.data;
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
-      // Save token to localStorage and state
+      // Save tokens to localStorage and state
       localStorage.setItem('token', newToken);
+      localStorage.setItem('refreshToken', refreshToken);
       setToken(newToken);
       setUser(userData);
       
@@ -83,8 +97,356 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const logout = () => {
+  // Finish signing in with an authenticator code or a recovery code
+  const verifyTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/login/two-factor', { challengeToken, code, recoveryCode });
+      const { token: newToken, refreshToken, user: userData } = response.data;
+
+      localStorage.setItem('token', newToken);
+      localStorage.setItem('refreshToken', refreshToken);
+      setToken(newToken);
+      setUser(userData);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Verification failed'
+      };
+    }
+  };
+
+  // Whether two-factor is on and how many recovery codes are left
+  const fetchTwoFactorStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return { success: true, ...response.data };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to load two-factor status'
+      };
+    }
+  }, []);
+
+  // Start enrolment; returns the secret, otpauth URI and QR code
+  const setupTwoFactor = async (password) => {
+    try {
+      const response = await api.post('/auth/2fa/setup', { password });
+      return { success: true, ...response.data };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to start two-factor setup'
+      };
+    }
+  };
+
+  // Confirm enrolment with a first code; returns the recovery codes
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to enable two-factor authentication'
+      };
+    }
+  };
+
+  // Turn two-factor off with the password and a code
+  const disableTwoFactor = async ({ password, code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to disable two-factor authentication'
+      };
+    }
+  };
+
+  // Replace every recovery code
+  const regenerateRecoveryCodes = async ({ code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { code, recoveryCode });
+      return { success: true, recoveryCodes: response.data.recoveryCodes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to generate recovery codes'
+      };
+    }
+  };
+
+  // Update account settings such as read receipt sharing
+  const updateSettings = async (settings) => {
+    try {
+      const response = await api.put('/auth/me/settings', settings);
+      setUser(prev => ({ ...prev, ...response.data.user }));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to update settings'
+      };
+    }
+  };
+
+  // Keep the signed-in user in step with their edited profile
+  const applyProfile = (profile) => {
+    setUser(prev => (prev ? {
+      ...prev,
+      displayName: profile.displayName,
+      bio: profile.bio,
+      timezone: profile.timezone,
+      avatar: profile.avatar
+    } : prev));
+  };
+
+  // Load the signed-in user's editable profile
+  const fetchProfile = useCallback(async () => {
+    try {
+      const response = await api.get('/users/me');
+      return { success: true, profile: response.data.profile };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load profile'
+      };
+    }
+  }, []);
+
+  // Update display name, bio and time zone
+  const updateProfile = async (profile) => {
+    try {
+      const response = await api.put('/users/me', profile);
+      applyProfile(response.data.profile);
+      return { success: true, profile: response.data.profile };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to update profile'
+      };
+    }
+  };
+
+  // Upload a new avatar image; the server crops and resizes it
+  const uploadAvatar = async (file) => {
+    try {
+      const formData = new FormData();
+      formData.append('avatar', file);
+
+      const response = await api.post('/users/me/avatar', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      applyProfile(response.data.profile);
+      return { success: true, profile: response.data.profile };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to upload avatar'
+      };
+    }
+  };
+
+  // Go back to the initial-letter placeholder
+  const removeAvatar = async () => {
+    try {
+      const response = await api.delete('/users/me/avatar');
+      applyProfile(response.data.profile);
+      return { success: true, profile: response.data.profile };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to remove avatar'
+      };
+    }
+  };
+
+  // Another user's public profile
+  const fetchUserProfile = useCallback(async (userId) => {
+    try {
+      const response = await api.get(`/users/${userId}`);
+      return { success: true, profile: response.data.profile };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load profile'
+      };
+    }
+  }, []);
+
+  // Email a password reset link; the answer is the same whether or not the account exists
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to request password reset'
+      };
+    }
+  };
+
+  // Set a new password with the token from a reset link
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await api.post('/auth/reset-password', { token: resetToken, password });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to reset password'
+      };
+    }
+  };
+
+  // Verification can finish in another tab or on another device; confirming
+  // an address change also switches the account to the new address
+  const markEmailVerified = useCallback((email) => {
+    setUser(prev => {
+      if (!prev) return prev;
+      return email && email !== prev.email
+        ? { ...prev, emailVerified: true, email, pendingEmail: null }
+        : { ...prev, emailVerified: true };
+    });
+  }, []);
+
+  // Confirm an email address with the token from a verification link
+  const verifyEmail = useCallback(async (verificationToken) => {
+    try {
+      const response = await api.get(`/auth/verify-email/${verificationToken}`);
+      markEmailVerified(response.data.email);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to verify email'
+      };
+    }
+  }, [markEmailVerified]);
+
+  // Ask for another verification email
+  const resendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to send verification email'
+      };
+    }
+  };
+
+  // Change the password; the server signs out other devices and issues this one a fresh token
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await api.put('/auth/me/password', { currentPassword, newPassword });
+      localStorage.setItem('token', response.data.token);
+      setToken(response.data.token);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to change password'
+      };
+    }
+  };
+
+  // Ask to move the account to a new address; it changes once the emailed link is opened
+  const changeEmail = async (password, email) => {
+    try {
+      const response = await api.put('/auth/me/email', { password, email });
+      setUser(prev => ({ ...prev, pendingEmail: response.data.pendingEmail }));
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to change email'
+      };
+    }
+  };
+
+  // Drop a pending email change
+  const cancelEmailChange = async () => {
+    try {
+      const response = await api.delete('/auth/me/email');
+      setUser(prev => ({ ...prev, pendingEmail: null }));
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to cancel email change'
+      };
+    }
+  };
+
+  // Devices the user is signed in on
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return { success: true, sessions: response.data.sessions };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load sessions'
+      };
+    }
+  }, []);
+
+  // Sign out one device, or every other device when no id is given
+  const revokeSession = async (sessionId = null) => {
+    try {
+      const response = await api.delete(sessionId ? `/auth/sessions/${sessionId}` : '/auth/sessions');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to revoke session'
+      };
+    }
+  };
+
+  // Revoke the session on the server before forgetting the tokens locally
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     setToken(null);
     setUser(null);
   };
@@ -96,6 +458,28 @@ export function AuthProvider({ children }) {
     login,
     register,
     logout,
+    updateSettings,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    markEmailVerified,
+    changePassword,
+    changeEmail,
+    cancelEmailChange,
+    fetchSessions,
+    revokeSession,
+    verifyTwoFactorLogin,
+    fetchTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    fetchProfile,
+    updateProfile,
+    uploadAvatar,
+    removeAvatar,
+    fetchUserProfile,
     loading
   };
 
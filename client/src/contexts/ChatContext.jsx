@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useState, useEffect, useRef } from 'react';
 import api from '../utils/api';
 import { useSocket } from './SocketContext';
 import { useAuth } from './AuthContext';
@@ -19,11 +19,37 @@ export function ChatProvider({ children }) {
   const [hasMore, setHasMore] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [currentTopic, setCurrentTopic] = useState(null);
-  const { socket, connected, sendMessage: socketSendMessage } = useSocket();
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [lastReadAt, setLastReadAt] = useState(null);
+  const [readReceipts, setReadReceipts] = useState([]);
+  // Newest message already reported as read, plus one seen while the tab was hidden
+  const readWatermarkRef = useRef(null);
+  const pendingReadRef = useRef(null);
+  const {
+    socket,
+    connected,
+    sendMessage: socketSendMessage,
+    sendThreadReply: socketSendThreadReply,
+    markRead: socketMarkRead
+  } = useSocket();
   const { user } = useAuth();
 
+  // Load pinned messages for a topic
+  const loadPinnedMessages = useCallback(async (topicId) => {
+    try {
+      const response = await api.get(`/messages/topic/${topicId}/pinned`);
+      setPinnedMessages(response.data.messages);
+    } catch (error) {
+      console.error('❌ Failed to load pinned messages:', error);
+      setPinnedMessages([]);
+    }
+  }, []);
+
   // Load messages for a topic
-  const loadMessages = async (topicId, page = 1, append = false) => {
+  const loadMessages = useCallback(async (topicId, page = 1, append = false) => {
     if (!topicId) return;
 
     setLoading(true);
@@ -39,6 +65,12 @@ export function ChatProvider({ children }) {
       } else {
         setMessages(newMessages);
         setCurrentTopic(topicId);
+        setActiveThread(null);
+        setLastReadAt(response.data.lastReadAt || null);
+        setReadReceipts(response.data.readReceipts || []);
+        readWatermarkRef.current = response.data.lastReadAt || null;
+        pendingReadRef.current = null;
+        loadPinnedMessages(topicId);
       }
 
       setHasMore(pagination.hasMore);
@@ -48,15 +80,33 @@ export function ChatProvider({ children }) {
     } finally {
       setLoading(false);
     }
-  };
+  }, [loadPinnedMessages]);
+
+  // Report a message the user has seen; only ever moves the read position forward
+  const markMessageRead = useCallback((message) => {
+    if (!currentTopic || !message) return;
+    if (readWatermarkRef.current && new Date(message.createdAt) <= new Date(readWatermarkRef.current)) return;
+
+    // Messages rendered in a background tab haven't really been seen yet
+    if (document.hidden) {
+      const pending = pendingReadRef.current;
+      if (!pending || new Date(message.createdAt) > new Date(pending.createdAt)) {
+        pendingReadRef.current = message;
+      }
+      return;
+    }
+
+    readWatermarkRef.current = message.createdAt;
+    socketMarkRead(currentTopic, message._id);
+  }, [currentTopic, socketMarkRead]);
 
   // Load more messages (pagination)
-  const loadMoreMessages = () => {
+  const loadMoreMessages = useCallback(() => {
     if (currentTopic && hasMore && !loading) {
       console.log('📄 Loading more messages...');
       loadMessages(currentTopic, currentPage + 1, true);
     }
-  };
+  }, [currentTopic, hasMore, loading, currentPage, loadMessages]);
 
   // Send a message using Socket.io only (no API call)
   const sendMessage = async (content, replyTo = null) => {
@@ -98,6 +148,125 @@ export function ChatProvider({ children }) {
     }
   };
 
+  // Upload a file or image (with optional caption) to the current topic
+  const uploadAttachment = async (file, caption = '', onProgress) => {
+    if (!currentTopic) {
+      return { success: false, message: 'Cannot upload - no topic selected' };
+    }
+
+    try {
+      console.log(`📎 Uploading ${file.name} (${file.size} bytes)`);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('content', caption.trim());
+
+      const response = await api.post(`/messages/topic/${currentTopic}/upload`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        }
+      });
+
+      // The socket broadcast normally delivers it first; this covers a dropped connection
+      const uploadedMessage = response.data.message;
+      setMessages(prev =>
+        prev.some(msg => msg._id === uploadedMessage._id) ? prev : [...prev, uploadedMessage]
+      );
+
+      console.log('✅ Attachment uploaded');
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to upload attachment:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to upload file'
+      };
+    }
+  };
+
+  // Open the thread panel for a message
+  const openThread = useCallback(async (messageId) => {
+    setThreadLoading(true);
+    try {
+      console.log(`🧵 Loading thread for message ${messageId}`);
+      const response = await api.get(`/messages/${messageId}/thread`);
+      const { parent, replies } = response.data;
+
+      setActiveThread({ parent, replies });
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to load thread:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load thread'
+      };
+    } finally {
+      setThreadLoading(false);
+    }
+  }, []);
+
+  // Close the thread panel
+  const closeThread = () => {
+    setActiveThread(null);
+  };
+
+  // Reply inside the open thread via Socket.io
+  const sendThreadReply = async (content) => {
+    if (!activeThread || !content.trim()) {
+      return { success: false, message: 'Cannot send reply - missing thread or content' };
+    }
+
+    if (!connected || !socket) {
+      return { success: false, message: 'Cannot send reply - not connected to server' };
+    }
+
+    socketSendThreadReply({
+      content: content.trim(),
+      parentId: activeThread.parent._id
+    });
+
+    return { success: true };
+  };
+
+  // Ask the message list to scroll to a message once its topic is loaded
+  const jumpToMessage = useCallback((topicId, messageId, { openThread: shouldOpenThread = false } = {}) => {
+    console.log(`🎯 Jumping to message ${messageId} in topic ${topicId}`);
+    setJumpTarget({ topicId, messageId, openThread: shouldOpenThread });
+  }, []);
+
+  const clearJumpTarget = useCallback(() => {
+    setJumpTarget(null);
+  }, []);
+
+  // Search messages across all accessible topics
+  const searchMessages = async (query, filters = {}, page = 1) => {
+    try {
+      const params = { q: query, page, ...filters };
+      Object.keys(params).forEach(key => {
+        if (params[key] === '' || params[key] === false || params[key] == null) {
+          delete params[key];
+        }
+      });
+
+      console.log('🔎 Searching messages:', params);
+      const response = await api.get('/messages/search', { params });
+
+      return {
+        success: true,
+        results: response.data.results,
+        pagination: response.data.pagination
+      };
+    } catch (error) {
+      console.error('❌ Failed to search messages:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Search failed'
+      };
+    }
+  };
+
   // Edit a message
   const editMessage = async (messageId, newContent) => {
     try {
@@ -126,6 +295,21 @@ export function ChatProvider({ children }) {
     }
   };
 
+  // Load the revisions of an edited message
+  const fetchMessageHistory = useCallback(async (messageId) => {
+    try {
+      console.log(`📜 Loading edit history for message ${messageId}`);
+      const response = await api.get(`/messages/${messageId}/history`);
+      return { success: true, history: response.data.history };
+    } catch (error) {
+      console.error('❌ Failed to load edit history:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load edit history'
+      };
+    }
+  }, []);
+
   // Delete a message
   const deleteMessage = async (messageId) => {
     try {
@@ -146,6 +330,61 @@ export function ChatProvider({ children }) {
     }
   };
 
+  // Keep the pinned list and the timeline in sync after a pin change
+  const markPinned = (message) => {
+    setPinnedMessages(prev => [message, ...prev.filter(msg => msg._id !== message._id)]);
+    setMessages(prev =>
+      prev.map(msg =>
+        msg._id === message._id
+          ? { ...msg, pinnedBy: message.pinnedBy, pinnedAt: message.pinnedAt }
+          : msg
+      )
+    );
+  };
+
+  const markUnpinned = (messageId) => {
+    setPinnedMessages(prev => prev.filter(msg => msg._id !== messageId));
+    setMessages(prev =>
+      prev.map(msg =>
+        msg._id === messageId
+          ? { ...msg, pinnedBy: null, pinnedAt: null }
+          : msg
+      )
+    );
+  };
+
+  // Pin a message to the current topic (admins only)
+  const pinMessage = async (messageId) => {
+    try {
+      console.log(`📌 Pinning message ${messageId}`);
+      const response = await api.post(`/messages/${messageId}/pin`);
+      markPinned(response.data.message);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to pin message:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to pin message'
+      };
+    }
+  };
+
+  // Unpin a message (admins only)
+  const unpinMessage = async (messageId) => {
+    try {
+      console.log(`📌 Unpinning message ${messageId}`);
+      await api.delete(`/messages/${messageId}/pin`);
+      markUnpinned(messageId);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Failed to unpin message:', error);
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to unpin message'
+      };
+    }
+  };
+
   // Add reaction to message
   const addReaction = async (messageId, emoji) => {
     try {
@@ -176,6 +415,12 @@ export function ChatProvider({ children }) {
     setCurrentPage(1);
     setHasMore(true);
     setCurrentTopic(null);
+    setActiveThread(null);
+    setPinnedMessages([]);
+    setLastReadAt(null);
+    setReadReceipts([]);
+    readWatermarkRef.current = null;
+    pendingReadRef.current = null;
   };
 
   // CRITICAL: Socket event listeners for real-time updates
@@ -230,10 +475,91 @@ export function ChatProvider({ children }) {
       );
     };
 
+    // Listen for thread replies
+    const handleThreadReply = (data) => {
+      console.log('🧵 Received thread reply:', data.parentId);
+      setMessages(prev =>
+        prev.map(msg =>
+          msg._id === data.parentId
+            ? { ...msg, replyCount: data.replyCount, lastReplyAt: data.lastReplyAt }
+            : msg
+        )
+      );
+
+      setActiveThread(prev => {
+        if (!prev || prev.parent._id !== data.parentId) return prev;
+        if (prev.replies.some(reply => reply._id === data.message._id)) return prev;
+        return { ...prev, replies: [...prev.replies, data.message] };
+      });
+    };
+
+    // Listen for edits made by anyone in the room
+    const handleMessageEdited = (data) => {
+      console.log('✏️ Received message edit:', data.messageId);
+      const applyEdit = (msg) =>
+        msg._id === data.messageId
+          ? { ...msg, content: data.content, mentions: data.mentions, isEdited: data.isEdited, editedAt: data.editedAt }
+          : msg;
+
+      setMessages(prev => prev.map(applyEdit));
+      setActiveThread(prev => {
+        if (!prev) return prev;
+        return { parent: applyEdit(prev.parent), replies: prev.replies.map(applyEdit) };
+      });
+    };
+
+    // Listen for deletions made by anyone in the room
+    const handleMessageDeleted = (data) => {
+      console.log('🗑️ Received message deletion:', data.messageId);
+      setMessages(prev =>
+        prev
+          .filter(msg => msg._id !== data.messageId)
+          .map(msg =>
+            msg._id === data.parentId
+              ? { ...msg, replyCount: data.replyCount, lastReplyAt: data.lastReplyAt }
+              : msg
+          )
+      );
+
+      setActiveThread(prev => {
+        if (!prev) return prev;
+        if (prev.parent._id === data.messageId) return null;
+        return { ...prev, replies: prev.replies.filter(reply => reply._id !== data.messageId) };
+      });
+    };
+
+    // Listen for pin changes in the current topic
+    const handleMessagePinned = ({ topicId, message }) => {
+      if (topicId !== currentTopic) return;
+      console.log('📌 Message pinned:', message._id);
+      markPinned(message);
+    };
+
+    const handleMessageUnpinned = ({ topicId, messageId }) => {
+      if (topicId !== currentTopic) return;
+      console.log('📌 Message unpinned:', messageId);
+      markUnpinned(messageId);
+    };
+
+    // Listen for other members reading the current topic
+    const handleReadReceiptUpdated = ({ topicId, user: reader, lastReadAt: readAt }) => {
+      if (topicId !== currentTopic || reader._id === user?.id) return;
+      setReadReceipts(prev => {
+        const others = prev.filter(receipt => receipt.user._id !== reader._id);
+        return readAt ? [...others, { user: reader, lastReadAt: readAt }] : others;
+      });
+    };
+
     // Register event listeners
     socket.on('new-message', handleNewMessage);
     socket.on('message-error', handleMessageError);
     socket.on('message-reaction-updated', handleReactionUpdate);
+    socket.on('thread-reply', handleThreadReply);
+    socket.on('message-edited', handleMessageEdited);
+    socket.on('message-deleted', handleMessageDeleted);
+    socket.on('message-pinned', handleMessagePinned);
+    socket.on('message-unpinned', handleMessageUnpinned);
+    socket.on('read-receipt-updated', handleReadReceiptUpdated);
 
     console.log('✅ Socket event listeners registered in ChatContext');
 
@@ -243,8 +569,28 @@ export function ChatProvider({ children }) {
       socket.off('new-message', handleNewMessage);
       socket.off('message-error', handleMessageError);
       socket.off('message-reaction-updated', handleReactionUpdate);
+      socket.off('thread-reply', handleThreadReply);
+      socket.off('message-edited', handleMessageEdited);
+      socket.off('message-deleted', handleMessageDeleted);
+      socket.off('message-pinned', handleMessagePinned);
+      socket.off('message-unpinned', handleMessageUnpinned);
+      socket.off('read-receipt-updated', handleReadReceiptUpdated);
+    };
+  }, [socket, currentTopic, user?.id]); // Include currentTopic to re-register when topic changes
+
+  // Report what was seen while the tab was in the background once it is visible again
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (!document.hidden && pendingReadRef.current) {
+        const message = pendingReadRef.current;
+        pendingReadRef.current = null;
+        markMessageRead(message);
+      }
     };
-  }, [socket, currentTopic]); // Include currentTopic to re-register when topic changes
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [markMessageRead]);
 
   // Debug: Log messages state changes
   useEffect(() => {
@@ -265,12 +611,29 @@ export function ChatProvider({ children }) {
     loading,
     hasMore,
     currentTopic,
+    activeThread,
+    threadLoading,
+    jumpTarget,
+    pinnedMessages,
+    lastReadAt,
+    readReceipts,
+    markMessageRead,
     loadMessages,
     loadMoreMessages,
     sendMessage,
+    uploadAttachment,
     editMessage,
+    fetchMessageHistory,
     deleteMessage,
     addReaction,
+    pinMessage,
+    unpinMessage,
+    openThread,
+    closeThread,
+    sendThreadReply,
+    jumpToMessage,
+    clearJumpTarget,
+    searchMessages,
     clearMessages
   };
 
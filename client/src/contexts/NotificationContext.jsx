@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import api from '../utils/api';
+import { useAuth } from './AuthContext';
+import { useSocket } from './SocketContext';
+import { NotificationContext } from './useNotifications';
+import { isDesktopSupported, loadDesktopSettings, saveDesktopSettings } from '../utils/desktopNotifications';
+
+export function NotificationProvider({ children }) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [desktopSettings, setDesktopSettings] = useState(loadDesktopSettings);
+  const [desktopPermission, setDesktopPermission] = useState(
+    isDesktopSupported() ? Notification.permission : 'unsupported'
+  );
+  const { user } = useAuth();
+  const { socket } = useSocket();
+
+  // Fetch a page of the inbox
+  const fetchNotifications = async (page = 1) => {
+    setLoading(true);
+    try {
+      const response = await api.get('/notifications', { params: { page } });
+      const { notifications: fetched, unreadCount: unread, pagination } = response.data;
+
+      setNotifications(prev => (page === 1 ? fetched : [...prev, ...fetched]));
+      setUnreadCount(unread);
+      setHasMore(pagination.hasMore);
+      setCurrentPage(pagination.currentPage);
+    } catch (error) {
+      console.error('Failed to fetch notifications:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMoreNotifications = () => {
+    if (hasMore && !loading) {
+      fetchNotifications(currentPage + 1);
+    }
+  };
+
+  // Flag notifications as read locally (all of them when no ids are given)
+  const applyRead = (notificationIds) => {
+    setNotifications(prev =>
+      prev.map(notification =>
+        !notificationIds || notificationIds.includes(notification._id)
+          ? { ...notification, read: true }
+          : notification
+      )
+    );
+  };
+
+  // Mark a single notification as read
+  const markNotificationRead = async (notificationId) => {
+    try {
+      const response = await api.post(`/notifications/${notificationId}/read`);
+      applyRead([notificationId]);
+      setUnreadCount(response.data.unreadCount);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to mark notification as read'
+      };
+    }
+  };
+
+  // Mark every notification as read
+  const markAllNotificationsRead = async () => {
+    try {
+      await api.post('/notifications/read-all');
+      applyRead(null);
+      setUnreadCount(0);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to mark notifications as read'
+      };
+    }
+  };
+
+  // Remove a notification from the inbox
+  const deleteNotification = async (notificationId) => {
+    try {
+      const response = await api.delete(`/notifications/${notificationId}`);
+      setNotifications(prev => prev.filter(notification => notification._id !== notificationId));
+      setUnreadCount(response.data.unreadCount);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to delete notification'
+      };
+    }
+  };
+
+  // Change desktop notification settings, asking for permission when they are switched on
+  const updateDesktopSettings = async (changes) => {
+    const next = { ...desktopSettings, ...changes };
+
+    if (changes.enabled && isDesktopSupported() && Notification.permission === 'default') {
+      const permission = await Notification.requestPermission();
+      setDesktopPermission(permission);
+      if (permission !== 'granted') {
+        next.enabled = false;
+      }
+    }
+
+    setDesktopSettings(next);
+    saveDesktopSettings(next);
+
+    if (changes.enabled && !next.enabled) {
+      return { success: false, message: 'Desktop notifications are blocked by the browser' };
+    }
+    return { success: true };
+  };
+
+  // Fetch the inbox when the user changes
+  useEffect(() => {
+    if (user) {
+      fetchNotifications();
+    } else {
+      setNotifications([]);
+      setUnreadCount(0);
+    }
+  }, [user]);
+
+  // Real-time notification events; read and delete changes are echoed to every open tab
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNotification = ({ notification, unreadCount: unread }) => {
+      console.log(`🔔 New ${notification.type} notification`);
+      setNotifications(prev =>
+        prev.some(existing => existing._id === notification._id) ? prev : [notification, ...prev]
+      );
+      setUnreadCount(unread);
+    };
+
+    const handleNotificationsRead = ({ notificationIds, all, unreadCount: unread }) => {
+      applyRead(all ? null : notificationIds);
+      setUnreadCount(unread);
+    };
+
+    const handleNotificationDeleted = ({ notificationId, unreadCount: unread }) => {
+      setNotifications(prev => prev.filter(notification => notification._id !== notificationId));
+      setUnreadCount(unread);
+    };
+
+    socket.on('notification', handleNotification);
+    socket.on('notifications-read', handleNotificationsRead);
+    socket.on('notification-deleted', handleNotificationDeleted);
+
+    return () => {
+      socket.off('notification', handleNotification);
+      socket.off('notifications-read', handleNotificationsRead);
+      socket.off('notification-deleted', handleNotificationDeleted);
+    };
+  }, [socket]);
+
+  const value = {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    fetchNotifications,
+    loadMoreNotifications,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification,
+    desktopSettings,
+    desktopPermission,
+    updateDesktopSettings
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { refreshAccessToken } from '../utils/api';
 
 const SocketContext = createContext();
 
@@ -30,7 +31,8 @@ export function SocketProvider({ children }) {
       console.log('🔌 Creating NEW socket instance...');
       
       const socket = io('http://127.0.0.1:5001', {
-        auth: { token },
+        // Read on every handshake so reconnects use the latest access token
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         transports: ['polling', 'websocket'],
         autoConnect: true,
         reconnection: true,
@@ -54,6 +56,13 @@ export function SocketProvider({ children }) {
       socket.on('connect_error', (error) => {
         console.error('🚫 Socket connection error:', error);
         setConnected(false);
+
+        // Rejected handshakes are not retried automatically, so refresh and reconnect
+        if (error.message === 'Token expired') {
+          refreshAccessToken()
+            .then(() => socket.connect())
+            .catch(() => console.log('🚫 Could not refresh socket token'));
+        }
       });
 
       socket.on('reconnect', (attemptNumber) => {
@@ -74,6 +83,19 @@ export function SocketProvider({ children }) {
         });
       });
 
+      // Members signing in and out anywhere in the user's topics
+      socket.on('user-presence-changed', (data) => {
+        setOnlineUsers(prev => {
+          const newSet = new Set(prev);
+          if (data.isOnline) {
+            newSet.add(data.user.id);
+          } else {
+            newSet.delete(data.user.id);
+          }
+          return newSet;
+        });
+      });
+
       // Typing events
       socket.on('user-typing', (data) => {
         setTypingUsers(prev => {
@@ -137,6 +159,15 @@ export function SocketProvider({ children }) {
     }
   };
 
+  const sendThreadReply = (replyData) => {
+    if (socketRef.current && connected) {
+      console.log('🧵 Sending thread reply via socket:', replyData);
+      socketRef.current.emit('send-thread-reply', replyData);
+    } else {
+      console.log('⚠️ Cannot send thread reply - not connected');
+    }
+  };
+
   const startTyping = (topicId) => {
     if (socketRef.current && connected) {
       socketRef.current.emit('typing-start', { topicId });
@@ -149,6 +180,12 @@ export function SocketProvider({ children }) {
     }
   };
 
+  const markRead = useCallback((topicId, messageId) => {
+    if (socketRef.current && connected) {
+      socketRef.current.emit('mark-read', { topicId, messageId });
+    }
+  }, [connected]);
+
   const addReaction = (messageId, emoji) => {
     if (socketRef.current && connected) {
       socketRef.current.emit('add-reaction', { messageId, emoji });
@@ -163,8 +200,10 @@ export function SocketProvider({ children }) {
     joinTopic,
     leaveTopic,
     sendMessage,
+    sendThreadReply,
     startTyping,
     stopTyping,
+    markRead,
     addReaction
   };
 
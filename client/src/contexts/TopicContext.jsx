@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import api from '../utils/api';
 import { useAuth } from './AuthContext';
+import { useSocket } from './SocketContext';
 
 const TopicContext = createContext();
 
@@ -16,21 +17,145 @@ export function TopicProvider({ children }) {
   const [topics, setTopics] = useState([]);
   const [currentTopic, setCurrentTopic] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [joinRequestCounts, setJoinRequestCounts] = useState({});
+  const [tags, setTags] = useState([]);
+  const [tagFilter, setTagFilter] = useState('');
+  const [conversations, setConversations] = useState([]);
+  const [mentionCounts, setMentionCounts] = useState({});
+  const [unreadCounts, setUnreadCounts] = useState({});
+  const [notificationPreferences, setNotificationPreferences] = useState({});
   const { user } = useAuth();
+  const { socket } = useSocket();
+
+  // Take unread counts and notification settings from topics or conversations returned by the server
+  const mergeUnreadCounts = useCallback((items) => {
+    const valuesFor = (key) => Object.fromEntries(
+      items
+        .filter(item => item.unreadCount !== undefined)
+        .map(item => [item._id, item[key]])
+    );
+    setUnreadCounts(prev => ({ ...prev, ...valuesFor('unreadCount') }));
+    setMentionCounts(prev => ({ ...prev, ...valuesFor('mentionCount') }));
+    setNotificationPreferences(prev => ({ ...prev, ...valuesFor('notificationPreference') }));
+  }, []);
 
   // Fetch all topics
-  const fetchTopics = async () => {
+  const fetchTopics = useCallback(async () => {
     if (!user) return;
     
     setLoading(true);
     try {
-      const response = await api.get('/topics');
-      setTopics(response.data.topics || []);
+      const response = await api.get('/topics', {
+        params: tagFilter ? { tag: tagFilter } : {}
+      });
+      const fetchedTopics = response.data.topics || [];
+      setTopics(fetchedTopics);
+      mergeUnreadCounts(fetchedTopics);
     } catch (error) {
       console.error('Failed to fetch topics:', error);
     } finally {
       setLoading(false);
     }
+  }, [user, tagFilter, mergeUnreadCounts]);
+
+  // Clear the counts for topics the user has caught up on
+  const clearUnread = useCallback((topicIds) => {
+    const cleared = Object.fromEntries(topicIds.map(topicId => [topicId, 0]));
+    setUnreadCounts(prev => ({ ...prev, ...cleared }));
+    setMentionCounts(prev => ({ ...prev, ...cleared }));
+  }, []);
+
+  // Change the notification level ('all', 'mentions', 'none') or mute ('1h', '8h', 'indefinite', 'off')
+  const updateNotificationPreference = async (topicId, changes) => {
+    try {
+      const response = await api.put(`/topics/${topicId}/notification-preference`, changes);
+      applyNotificationPreference(topicId, response.data.notificationPreference);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to update notification settings'
+      };
+    }
+  };
+
+  // Store new settings and drop badges the topic no longer wants
+  const applyNotificationPreference = (topicId, preference) => {
+    setNotificationPreferences(prev => ({ ...prev, [topicId]: preference }));
+    const level = preference.muted ? 'none' : preference.level;
+    if (level !== 'all') {
+      setUnreadCounts(prev => ({ ...prev, [topicId]: 0 }));
+    }
+    if (level === 'none') {
+      setMentionCounts(prev => ({ ...prev, [topicId]: 0 }));
+    }
+  };
+
+  // Mark every topic and conversation as read
+  const markAllRead = async () => {
+    try {
+      await api.post('/topics/read-all');
+      setUnreadCounts({});
+      setMentionCounts({});
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to mark topics as read'
+      };
+    }
+  };
+
+  // Fetch tag usage counts for browsing
+  const fetchTags = async () => {
+    try {
+      const response = await api.get('/topics/tags');
+      setTags(response.data.tags || []);
+    } catch (error) {
+      console.error('Failed to fetch tags:', error);
+    }
+  };
+
+  // Fetch the user's direct and group conversations
+  const fetchConversations = useCallback(async () => {
+    try {
+      const response = await api.get('/conversations');
+      const fetchedConversations = response.data.conversations || [];
+      setConversations(fetchedConversations);
+      mergeUnreadCounts(fetchedConversations);
+    } catch (error) {
+      console.error('Failed to fetch conversations:', error);
+    }
+  }, [mergeUnreadCounts]);
+
+  // Add a conversation or move it to the top of the list
+  const upsertConversation = (conversation) => {
+    setConversations(prev => [
+      conversation,
+      ...prev.filter(existing => existing._id !== conversation._id)
+    ]);
+  };
+
+  // Open a conversation with one or more users, reusing an existing one
+  const startConversation = async (usernames) => {
+    try {
+      const response = await api.post('/conversations', { usernames });
+      const conversation = response.data.conversation;
+      const existing = conversations.find(item => item._id === conversation._id);
+
+      upsertConversation({ ...conversation, lastMessage: existing?.lastMessage || null });
+      return { success: true, conversation };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to start conversation'
+      };
+    }
   };
 
   // Create a new topic
@@ -40,11 +165,32 @@ export function TopicProvider({ children }) {
       const newTopic = response.data.topic;
       
       setTopics(prev => [newTopic, ...prev]);
+      if (newTopic.tags?.length > 0) {
+        fetchTags();
+      }
       return { success: true, topic: newTopic };
     } catch (error) {
       return {
         success: false,
-        message: error.response?.data?.message || 'Failed to create topic'
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to create topic'
+      };
+    }
+  };
+
+  // Update a topic's name, description, privacy or tags (admins only)
+  const updateTopic = async (topicId, topicData) => {
+    try {
+      const response = await api.put(`/topics/${topicId}`, topicData);
+      upsertTopic(response.data.topic);
+      return { success: true, topic: response.data.topic };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to update topic'
       };
     }
   };
@@ -124,29 +270,434 @@ export function TopicProvider({ children }) {
     }
   };
 
+  // Add or refresh a topic in the list and in the open chat
+  const upsertTopic = (updatedTopic) => {
+    setTopics(prev =>
+      prev.some(topic => topic._id === updatedTopic._id)
+        ? prev.map(topic => (topic._id === updatedTopic._id ? updatedTopic : topic))
+        : [updatedTopic, ...prev]
+    );
+    setCurrentTopic(prev => (prev?._id === updatedTopic._id ? updatedTopic : prev));
+  };
+
+  // Drop a topic the user can no longer see
+  const removeTopicLocally = (topicId) => {
+    setTopics(prev => prev.filter(topic => topic._id !== topicId));
+    setCurrentTopic(prev => (prev?._id === topicId ? null : prev));
+  };
+
+  // Shared handler for the role management endpoints
+  const updateTopicRole = async (request, fallbackMessage) => {
+    try {
+      const response = await request();
+      upsertTopic(response.data.topic);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || fallbackMessage
+      };
+    }
+  };
+
+  // Hand the topic over to another member (owner only)
+  const transferOwnership = (topicId, userId) => {
+    return updateTopicRole(
+      () => api.post(`/topics/${topicId}/transfer`, { userId }),
+      'Failed to transfer ownership'
+    );
+  };
+
+  // Promote a member to admin
+  const addAdmin = (topicId, userId) => {
+    return updateTopicRole(
+      () => api.post(`/topics/${topicId}/admins/${userId}`),
+      'Failed to add admin'
+    );
+  };
+
+  // Demote an admin
+  const removeAdmin = (topicId, userId) => {
+    return updateTopicRole(
+      () => api.delete(`/topics/${topicId}/admins/${userId}`),
+      'Failed to remove admin'
+    );
+  };
+
+  // Remove a member from the topic
+  const removeMember = (topicId, userId) => {
+    return updateTopicRole(
+      () => api.delete(`/topics/${topicId}/members/${userId}`),
+      'Failed to remove member'
+    );
+  };
+
+  // Fetch pending invitations for the current user
+  const fetchInvitations = async () => {
+    try {
+      const response = await api.get('/topics/invitations');
+      setInvitations(response.data.invitations || []);
+    } catch (error) {
+      console.error('Failed to fetch invitations:', error);
+    }
+  };
+
+  // Accept a direct invitation
+  const acceptInvitation = async (invitationId) => {
+    try {
+      const response = await api.post(`/topics/invitations/${invitationId}/accept`);
+      upsertTopic(response.data.topic);
+      setInvitations(prev => prev.filter(invitation => invitation._id !== invitationId));
+      return { success: true, topic: response.data.topic };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to accept invitation'
+      };
+    }
+  };
+
+  // Decline a direct invitation
+  const declineInvitation = async (invitationId) => {
+    try {
+      await api.post(`/topics/invitations/${invitationId}/decline`);
+      setInvitations(prev => prev.filter(invitation => invitation._id !== invitationId));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to decline invitation'
+      };
+    }
+  };
+
+  // Invite a user or create an invite link (admins only)
+  const createInvitation = async (topicId, invitationData) => {
+    try {
+      const response = await api.post(`/topics/${topicId}/invitations`, invitationData);
+      return { success: true, invitation: response.data.invitation, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.errors?.[0]?.msg ||
+          error.response?.data?.message ||
+          'Failed to create invitation'
+      };
+    }
+  };
+
+  // Active invitations for a topic (admins only)
+  const fetchTopicInvitations = useCallback(async (topicId) => {
+    try {
+      const response = await api.get(`/topics/${topicId}/invitations`);
+      return { success: true, invitations: response.data.invitations };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load invitations'
+      };
+    }
+  }, []);
+
+  // Revoke an invitation or invite link (admins only)
+  const revokeInvitation = async (topicId, invitationId) => {
+    try {
+      await api.delete(`/topics/${topicId}/invitations/${invitationId}`);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to revoke invitation'
+      };
+    }
+  };
+
+  // Look up the topic behind an invite link
+  const previewInviteLink = useCallback(async (code) => {
+    try {
+      const response = await api.get(`/topics/invite-links/${code}`);
+      return { success: true, invitation: response.data.invitation, isMember: response.data.isMember };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Invite link not found'
+      };
+    }
+  }, []);
+
+  // Join a topic through an invite link
+  const acceptInviteLink = async (code) => {
+    try {
+      const response = await api.post(`/topics/invite-links/${code}/accept`);
+      upsertTopic(response.data.topic);
+      return { success: true, topic: response.data.topic };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to join topic'
+      };
+    }
+  };
+
+  // Ask the admins of a private topic to be let in
+  const requestToJoin = async (topicId, message = '') => {
+    try {
+      await api.post(`/topics/${topicId}/join-requests`, { message });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to send join request'
+      };
+    }
+  };
+
+  // Pending join requests for a topic (admins only)
+  const fetchJoinRequests = useCallback(async (topicId) => {
+    try {
+      const response = await api.get(`/topics/${topicId}/join-requests`);
+      setJoinRequestCounts(prev => ({ ...prev, [topicId]: response.data.joinRequests.length }));
+      return { success: true, joinRequests: response.data.joinRequests };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to load join requests'
+      };
+    }
+  }, []);
+
+  // Approve or deny a join request (admins only)
+  const resolveJoinRequest = async (topicId, requestId, approve) => {
+    try {
+      await api.post(`/topics/${topicId}/join-requests/${requestId}/${approve ? 'approve' : 'deny'}`);
+      setJoinRequestCounts(prev => ({ ...prev, [topicId]: Math.max((prev[topicId] || 1) - 1, 0) }));
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Failed to update join request'
+      };
+    }
+  };
+
   // Set current topic
-  const selectTopic = (topic) => {
+  const selectTopic = useCallback((topic) => {
     setCurrentTopic(topic);
-  };
+    if (topic) {
+      clearUnread([topic._id]);
+    }
+  }, [clearUnread]);
 
-  // Fetch topics when user changes
+  // Fetch topics when user or tag filter changes
   useEffect(() => {
     if (user) {
       fetchTopics();
     }
-  }, [user]);
+  }, [user, fetchTopics]);
+
+  // Fetch invitations and tags when user changes
+  useEffect(() => {
+    if (user) {
+      fetchInvitations();
+      fetchTags();
+      fetchConversations();
+    }
+  }, [user, fetchConversations]);
+
+  // Real-time invitation and join request events
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleInvitationReceived = (invitation) => {
+      console.log('✉️ Invitation received for topic:', invitation.topic?.name);
+      setInvitations(prev =>
+        prev.some(existing => existing._id === invitation._id) ? prev : [invitation, ...prev]
+      );
+    };
+
+    const handleInvitationRevoked = ({ invitationId }) => {
+      setInvitations(prev => prev.filter(invitation => invitation._id !== invitationId));
+    };
+
+    const handleJoinRequestReceived = ({ topicId }) => {
+      setJoinRequestCounts(prev => ({ ...prev, [topicId]: (prev[topicId] || 0) + 1 }));
+    };
+
+    const handleJoinRequestResolved = ({ topicName, status }) => {
+      if (status === 'approved') {
+        fetchTopics();
+      }
+      alert(`Your request to join "${topicName}" was ${status}`);
+    };
+
+    const handleRoleChanged = ({ topic, user: changedUser, role }) => {
+      console.log(`🛡️ ${changedUser.username} is now ${role} of ${topic.name}`);
+      upsertTopic(topic);
+    };
+
+    const handleTopicUpdated = ({ topic, changes, updatedBy }) => {
+      console.log(`✏️ ${updatedBy.username} updated ${topic.name}:`, changes);
+      const isMember = topic.members.some(member => member._id === user?.id);
+
+      if (topic.isPrivate && !isMember) {
+        removeTopicLocally(topic._id);
+      } else {
+        // Only refresh topics already listed so an active tag filter still holds
+        setTopics(prev => prev.map(existing => (existing._id === topic._id ? topic : existing)));
+        setCurrentTopic(prev => (prev?._id === topic._id ? topic : prev));
+      }
+
+      if (changes.includes('tags')) {
+        fetchTags();
+      }
+    };
+
+    const handleTopicHidden = ({ topicId }) => {
+      removeTopicLocally(topicId);
+    };
+
+    const handleMemberRemoved = ({ topic, user: removedUser }) => {
+      if (removedUser.id === user?.id) {
+        if (topic.isPrivate) {
+          removeTopicLocally(topic._id);
+        } else {
+          upsertTopic(topic);
+        }
+        alert(`You were removed from "${topic.name}"`);
+      } else {
+        upsertTopic(topic);
+      }
+    };
+
+    const handleConversationCreated = (conversation) => {
+      setConversations(prev =>
+        prev.some(existing => existing._id === conversation._id)
+          ? prev
+          : [{ ...conversation, lastMessage: null }, ...prev]
+      );
+    };
+
+    const handleConversationActivity = ({ conversationId, message }) => {
+      setConversations(prev => {
+        const conversation = prev.find(existing => existing._id === conversationId);
+        if (!conversation) return prev;
+        return [
+          { ...conversation, lastMessage: message },
+          ...prev.filter(existing => existing._id !== conversationId)
+        ];
+      });
+    };
+
+    const handleNotificationPreferenceUpdated = ({ topicId, notificationPreference }) => {
+      applyNotificationPreference(topicId, notificationPreference);
+    };
+
+    socket.on('invitation-received', handleInvitationReceived);
+    socket.on('invitation-revoked', handleInvitationRevoked);
+    socket.on('join-request-received', handleJoinRequestReceived);
+    socket.on('join-request-resolved', handleJoinRequestResolved);
+    socket.on('topic-role-changed', handleRoleChanged);
+    socket.on('topic-member-removed', handleMemberRemoved);
+    socket.on('topic-updated', handleTopicUpdated);
+    socket.on('topic-hidden', handleTopicHidden);
+    socket.on('conversation-created', handleConversationCreated);
+    socket.on('conversation-activity', handleConversationActivity);
+    socket.on('notification-preference-updated', handleNotificationPreferenceUpdated);
+
+    return () => {
+      socket.off('invitation-received', handleInvitationReceived);
+      socket.off('invitation-revoked', handleInvitationRevoked);
+      socket.off('join-request-received', handleJoinRequestReceived);
+      socket.off('join-request-resolved', handleJoinRequestResolved);
+      socket.off('topic-role-changed', handleRoleChanged);
+      socket.off('topic-member-removed', handleMemberRemoved);
+      socket.off('topic-updated', handleTopicUpdated);
+      socket.off('topic-hidden', handleTopicHidden);
+      socket.off('conversation-created', handleConversationCreated);
+      socket.off('conversation-activity', handleConversationActivity);
+      socket.off('notification-preference-updated', handleNotificationPreferenceUpdated);
+    };
+  }, [socket, user, fetchTopics]);
+
+  // Count mentions and new messages in topics other than the one being read
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUnreadActivity = ({ topicId }) => {
+      if (topicId !== currentTopic?._id) {
+        setUnreadCounts(prev => ({ ...prev, [topicId]: (prev[topicId] || 0) + 1 }));
+      }
+    };
+
+    // Read positions are shared by every tab the user has open
+    const handleTopicRead = ({ topicId }) => {
+      clearUnread([topicId]);
+    };
+
+    const handleTopicsRead = ({ topicIds }) => {
+      clearUnread(topicIds);
+    };
+
+    const handleMentioned = ({ message, topic }) => {
+      console.log(`🔔 ${message.sender?.username} mentioned you in ${topic.name}`);
+      if (topic._id !== currentTopic?._id) {
+        setMentionCounts(prev => ({ ...prev, [topic._id]: (prev[topic._id] || 0) + 1 }));
+      }
+    };
+
+    socket.on('mentioned', handleMentioned);
+    socket.on('unread-activity', handleUnreadActivity);
+    socket.on('topic-read', handleTopicRead);
+    socket.on('topics-read', handleTopicsRead);
+
+    return () => {
+      socket.off('mentioned', handleMentioned);
+      socket.off('unread-activity', handleUnreadActivity);
+      socket.off('topic-read', handleTopicRead);
+      socket.off('topics-read', handleTopicsRead);
+    };
+  }, [socket, currentTopic?._id, clearUnread]);
 
   const value = {
     topics,
     currentTopic,
     loading,
     createTopic,
+    updateTopic,
     joinTopic,
     leaveTopic,
     deleteTopic,
     getTopicById,
     selectTopic,
-    fetchTopics
+    fetchTopics,
+    tags,
+    tagFilter,
+    setTagFilter,
+    fetchTags,
+    conversations,
+    fetchConversations,
+    mentionCounts,
+    unreadCounts,
+    markAllRead,
+    notificationPreferences,
+    updateNotificationPreference,
+    startConversation,
+    invitations,
+    joinRequestCounts,
+    acceptInvitation,
+    declineInvitation,
+    createInvitation,
+    fetchTopicInvitations,
+    revokeInvitation,
+    previewInviteLink,
+    acceptInviteLink,
+    requestToJoin,
+    fetchJoinRequests,
+    resolveJoinRequest,
+    transferOwnership,
+    addAdmin,
+    removeAdmin,
+    removeMember
   };
 
   return (
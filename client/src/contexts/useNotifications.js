@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from the provider so NotificationContext.jsx only exports components
+export const NotificationContext = createContext();
+
+export function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+}
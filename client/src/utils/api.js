@@ -26,15 +26,68 @@ api.interceptors.request.use(
 );
 
 // Handle response errors
+let refreshPromise = null;
+
+// Trade the stored refresh token for a new pair. Concurrent callers share one
+// request, and a token another tab rotated in the meantime is picked up instead.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (async () => {
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      try {
+        // Plain axios, so a failed refresh does not run through the interceptors again
+        const response = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        console.log('🔄 Access token refreshed');
+        return response.data.token;
+      } catch (error) {
+        if (localStorage.getItem('refreshToken') !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Credentials are checked by these endpoints themselves, so their 401s are final
+const isAuthRequest = (url = '') => ['/auth/login', '/auth/register', '/auth/refresh'].some(path => url.includes(path));
+
+// Refresh and retry once on 401; only send the user to login when that fails too
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      console.log('🚫 Unauthorized - clearing token');
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest(originalRequest.url)) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        console.log('🚫 Session expired - clearing tokens');
+        clearTokens();
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
@@ -0,0 +1,35 @@
+// Keep in sync with server/middleware/upload.js
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+export const ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+export const isImageType = (mimeType) => IMAGE_TYPES.includes(mimeType);
+
+// Returns an error message, or null when the file can be uploaded
+export const validateAttachment = (file) => {
+  if (!ATTACHMENT_TYPES.includes(file.type)) {
+    return `File type ${file.type || 'unknown'} is not allowed`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `File too large (max ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB)`;
+  }
+  return null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,20 @@
+export const isDirectConversation = (topic) => topic?.type === 'direct';
+
+// Direct conversations are named after the other participants
+export const getConversationName = (conversation, userId) => {
+  const others = (conversation.members || []).filter(member => member._id !== userId);
+  if (others.length === 0) return 'Just you';
+  return others.map(member => member.username).join(', ');
+};
+
+// Parse "alice, bob carol" into a list of usernames
+export const parseUsernames = (input) => {
+  return [...new Set(input.split(/[\s,]+/).map(name => name.replace(/^@/, '')).filter(Boolean))];
+};
+
+// Topics reserve pins for admins; in direct conversations any participant may pin
+export const canPinMessages = (topic, userId) => {
+  if (!topic) return false;
+  const people = isDirectConversation(topic) ? topic.members : topic.admins;
+  return (people || []).some(person => (person._id || person) === userId);
+};
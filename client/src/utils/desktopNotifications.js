@@ -0,0 +1,79 @@
+const SETTINGS_KEY = 'desktopNotifications';
+
+export const DEFAULT_DESKTOP_SETTINGS = {
+  enabled: false,
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '08:00'
+};
+
+export const isDesktopSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Settings live in the browser since permission is granted per browser, not per account
+export const loadDesktopSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_DESKTOP_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_DESKTOP_SETTINGS };
+  }
+};
+
+export const saveDesktopSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Do-not-disturb hours may wrap past midnight, e.g. 22:00 - 08:00
+export const isQuietTime = (settings, now = new Date()) => {
+  if (!settings.quietHoursEnabled) return false;
+  const start = toMinutes(settings.quietHoursStart);
+  const end = toMinutes(settings.quietHoursEnd);
+  const current = now.getHours() * 60 + now.getMinutes();
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// A per-topic preference as set in the topic's notification menu
+export const allowsDesktopNotification = (preference, isMention) => {
+  if (!preference) return true;
+  const muted = preference.muted && (!preference.mutedUntil || new Date(preference.mutedUntil) > new Date());
+  if (muted || preference.level === 'none') return false;
+  return isMention || preference.level !== 'mentions';
+};
+
+// Brand-coloured favicon with the unread count drawn on top
+export const drawFaviconBadge = (count) => {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = '#10b981';
+  context.beginPath();
+  context.arc(size / 2, size / 2, size / 2 - 4, 0, Math.PI * 2);
+  context.fill();
+
+  if (count > 0) {
+    context.fillStyle = '#ef4444';
+    context.beginPath();
+    context.arc(size - 20, 20, 20, 0, Math.PI * 2);
+    context.fill();
+
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 26px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(count > 9 ? '9+' : String(count), size - 20, 21);
+  }
+
+  return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,15 @@
+// Shareable URL for an invite link code
+export const buildInviteLink = (code) => `${window.location.origin}/dashboard?invite=${code}`;
+
+// Accept either a full invite URL or a bare code
+export const extractInviteCode = (input) => {
+  const value = input.trim();
+  if (!value) return '';
+
+  try {
+    const url = new URL(value);
+    return url.searchParams.get('invite') || '';
+  } catch {
+    return value;
+  }
+};
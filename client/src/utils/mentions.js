@@ -0,0 +1,34 @@
+// Mirrors the server's mention pattern: @username not preceded by a word character
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+
+export const BROADCAST_MENTIONS = ['here', 'all'];
+
+export const MAX_MENTION_SUGGESTIONS = 6;
+
+// The partial @name the caret is in, e.g. "hi @al|" -> { start: 3, query: 'al' }
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|[^\w@])@(\w{0,20})$/);
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, query: match[2] };
+};
+
+// Split message text into plain and mention parts for highlighting
+export const splitMentions = (content) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    if (start > lastIndex) {
+      parts.push({ text: content.slice(lastIndex, start) });
+    }
+    parts.push({ text: `@${match[2]}`, mention: match[2].toLowerCase() });
+    lastIndex = start + match[2].length + 1;
+  }
+
+  if (lastIndex < content.length) {
+    parts.push({ text: content.slice(lastIndex) });
+  }
+
+  return parts;
+};
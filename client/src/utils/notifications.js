@@ -0,0 +1,31 @@
+// One-line summary of a notification for the inbox
+export const describeNotification = (notification) => {
+  const actor = notification.actor?.username || 'Someone';
+  const isDirect = notification.topic?.type === 'direct';
+  const where = notification.topic && !isDirect ? ` in #${notification.topic.name}` : '';
+
+  switch (notification.type) {
+    case 'mention':
+      return `${actor} mentioned you${where}`;
+    case 'reply':
+      return `${actor} replied to your message${where}`;
+    case 'reaction':
+      return `${actor} reacted ${notification.data?.emoji || ''} to your message${where}`;
+    case 'invitation':
+      return `${actor} invited you to #${notification.topic?.name || 'a topic'}`;
+    case 'role-change':
+      return notification.data?.role === 'member'
+        ? `${actor} removed your admin role${where}`
+        : `${actor} made you ${notification.data?.role === 'owner' ? 'the owner' : 'an admin'}${where}`;
+    default:
+      return `New activity${where}`;
+  }
+};
+
+export const NOTIFICATION_ICONS = {
+  mention: '@',
+  reply: '💬',
+  reaction: '😊',
+  invitation: '✉️',
+  'role-change': '🛡️'
+};
@@ -0,0 +1,28 @@
+// Keep in sync with the tag validation in server/routes/topics.js
+export const MAX_TAGS = 5;
+export const MAX_TAG_LENGTH = 20;
+
+export const TAG_COLORS = ['#10b981', '#06b6d4', '#6366f1', '#f59e0b', '#ef4444', '#ec4899'];
+
+const TAG_NAME_PATTERN = /^[a-zA-Z0-9\s\-_]+$/;
+
+export const normalizeTagName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Returns an error message, or null when the tag can be added
+export const validateTagName = (name, existingTags) => {
+  if (!name) return 'Tag name is required';
+  if (name.length > MAX_TAG_LENGTH) return `Tags cannot exceed ${MAX_TAG_LENGTH} characters`;
+  if (!TAG_NAME_PATTERN.test(name)) {
+    return 'Tags can only contain letters, numbers, spaces, hyphens, and underscores';
+  }
+  if (existingTags.some(tag => tag.name === name)) return 'Tag already added';
+  if (existingTags.length >= MAX_TAGS) return `A topic can have at most ${MAX_TAGS} tags`;
+  return null;
+};
+
+// Soft background tint for a tag chip
+export const tagChipStyle = (color) => ({
+  color,
+  backgroundColor: `${color}1a`,
+  borderColor: `${color}40`
+});
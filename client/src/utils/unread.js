@@ -0,0 +1,6 @@
+const MAX_DISPLAYED_UNREAD = 99;
+
+// Keep sidebar badges short, e.g. 120 -> "99+"
+export const formatUnreadCount = (count) => {
+  return count > MAX_DISPLAYED_UNREAD ? `${MAX_DISPLAYED_UNREAD}+` : String(count);
+};
@@ -1,10 +1,8 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
-
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
+const RevokedToken = require('../models/RevokedToken');
+const { createSession, revokeSessions } = require('../utils/sessions');
+const { markOffline } = require('../utils/presence');
 
 exports.register = async (req, res) => {
   try {
@@ -31,15 +29,17 @@ exports.register = async (req, res) => {
     const user = new User({ username, email, password });
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        displayName: user.displayName,
         avatar: user.avatar
       }
     });
@@ -74,15 +74,17 @@ exports.login = async (req, res) => {
     user.isOnline = true;
     await user.save();
 
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        displayName: user.displayName,
         avatar: user.avatar
       }
     });
@@ -107,15 +109,28 @@ exports.verify = async (req, res) => {
   }
 };
 
+// Sign out the current device: the access token is denylisted until it expires,
+// the session (and its refresh token) is removed and its sockets are dropped
 exports.logout = async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user._id, {
-      isOnline: false,
-      lastSeen: new Date()
-    });
+    const io = req.app.get('io');
+
+    if (req.tokenId) {
+      await RevokedToken.updateOne(
+        { jti: req.tokenId },
+        { jti: req.tokenId, user: req.user._id, expiresAt: req.tokenExpiresAt },
+        { upsert: true }
+      );
+    }
+
+    await revokeSessions(io, { _id: req.sessionId, user: req.user._id });
+    await markOffline(io, req.user);
+
+    console.log('👋 User logged out:', req.user.username);
 
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
+    console.error('Logout error:', error);
     res.status(500).json({ message: error.message });
   }
 };
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Topic = require('../models/Topic');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { validationResult } = require('express-validator');
+const { emitToUser } = require('../utils/realtime');
+const { attachUnreadCounts, startReadStates } = require('../utils/readState');
+
+const MAX_PARTICIPANTS = 8;
+
+// Attach the latest timeline message to each conversation for sidebar previews
+const attachLastMessages = async (conversations) => {
+  const lastMessages = await Message.aggregate([
+    {
+      $match: {
+        topic: { $in: conversations.map(conversation => conversation._id) },
+        inThread: { $ne: true }
+      }
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: '$topic',
+        content: { $first: '$content' },
+        messageType: { $first: '$messageType' },
+        sender: { $first: '$sender' },
+        createdAt: { $first: '$createdAt' }
+      }
+    }
+  ]);
+
+  const lastById = new Map(lastMessages.map(message => [message._id.toString(), message]));
+
+  return conversations.map(conversation => ({
+    ...conversation.toObject(),
+    lastMessage: lastById.get(conversation._id.toString()) || null
+  }));
+};
+
+// Get the current user's direct conversations
+exports.getConversations = async (req, res) => {
+  try {
+    const conversations = await Topic.find({
+      type: 'direct',
+      members: req.user._id
+    })
+    .populate('creator', 'username avatar')
+    .populate('members', 'username avatar')
+    .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      conversations: await attachUnreadCounts(await attachLastMessages(conversations), req.user._id)
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Start a 1:1 or group conversation, reusing an existing one with the same people
+exports.createConversation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user._id;
+    const usernames = [...new Set(req.body.usernames.map(username => username.trim()))];
+
+    const participants = await User.find({ username: { $in: usernames } }).select('_id username');
+    if (participants.length !== usernames.length) {
+      const found = participants.map(participant => participant.username);
+      const missing = usernames.filter(username => !found.includes(username));
+      return res.status(404).json({ message: `User not found: ${missing.join(', ')}` });
+    }
+
+    const memberIds = [...new Set([
+      userId.toString(),
+      ...participants.map(participant => participant._id.toString())
+    ])];
+
+    if (memberIds.length < 2) {
+      return res.status(400).json({ message: 'You cannot start a conversation with yourself' });
+    }
+
+    if (memberIds.length > MAX_PARTICIPANTS) {
+      return res.status(400).json({
+        message: `Group conversations are limited to ${MAX_PARTICIPANTS} people`
+      });
+    }
+
+    const dmKey = [...memberIds].sort().join(':');
+
+    let conversation = await Topic.findOne({ dmKey });
+    let created = false;
+
+    if (conversation) {
+      // Bring back anyone who had left so the conversation is whole again
+      await Topic.updateOne({ _id: conversation._id }, { $addToSet: { members: { $each: memberIds } } });
+      conversation = await Topic.findById(conversation._id);
+    } else {
+      try {
+        conversation = await Topic.create({
+          name: `dm-${new mongoose.Types.ObjectId()}`,
+          type: 'direct',
+          dmKey,
+          isPrivate: true,
+          creator: userId,
+          members: memberIds,
+          admins: []
+        });
+        created = true;
+      } catch (createError) {
+        // Another request created the same conversation first
+        if (createError.code !== 11000) throw createError;
+        conversation = await Topic.findOne({ dmKey });
+      }
+    }
+
+    await startReadStates(conversation._id, memberIds);
+    await conversation.populate('creator', 'username avatar');
+    await conversation.populate('members', 'username avatar');
+
+    if (created) {
+      const io = req.app.get('io');
+      memberIds
+        .filter(memberId => memberId !== userId.toString())
+        .forEach(memberId => emitToUser(io, memberId, 'conversation-created', conversation));
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      conversation
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
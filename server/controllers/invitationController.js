@@ -0,0 +1,533 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const JoinRequest = require('../models/JoinRequest');
+const Topic = require('../models/Topic');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { emitToUser } = require('../utils/realtime');
+const { createNotification } = require('../utils/notifications');
+const { startReadStates } = require('../utils/readState');
+
+const DIRECT_INVITE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Add a user to a topic and return the populated topic
+const addMember = async (topicId, userId) => {
+  await startReadStates(topicId, [userId]);
+  return Topic.findByIdAndUpdate(
+    topicId,
+    { $addToSet: { members: userId } },
+    { new: true }
+  )
+    .populate('creator', 'username avatar')
+    .populate('members', 'username avatar');
+};
+
+// Create a direct invite or a shareable invite link (admins only)
+exports.createInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+    const { type = 'direct', username, expiresInHours, maxUses } = req.body;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(userId)) {
+      return res.status(403).json({ message: 'Only topic admins can invite members' });
+    }
+
+    if (type === 'link') {
+      const invitation = new Invitation({
+        topic: topicId,
+        inviter: userId,
+        type: 'link',
+        code: crypto.randomBytes(12).toString('base64url'),
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+        maxUses: maxUses || null
+      });
+
+      await invitation.save();
+      await invitation.populate('inviter', 'username avatar');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Invite link created',
+        invitation
+      });
+    }
+
+    // Direct invite
+    const invitee = await User.findOne({ username }).select('username avatar');
+    if (!invitee) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (topic.isMember(invitee._id)) {
+      return res.status(400).json({ message: 'User is already a member of this topic' });
+    }
+
+    const existingInvitation = await Invitation.findOne({
+      topic: topicId,
+      invitee: invitee._id,
+      type: 'direct',
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (existingInvitation) {
+      return res.status(400).json({ message: 'User already has a pending invitation' });
+    }
+
+    const invitation = new Invitation({
+      topic: topicId,
+      inviter: userId,
+      type: 'direct',
+      invitee: invitee._id,
+      expiresAt: new Date(Date.now() + DIRECT_INVITE_TTL)
+    });
+
+    await invitation.save();
+    await invitation.populate('topic', 'name description isPrivate');
+    await invitation.populate('inviter', 'username avatar');
+    await invitation.populate('invitee', 'username avatar');
+
+    // Notify the invitee in real time
+    const io = req.app.get('io');
+    emitToUser(io, invitee._id, 'invitation-received', invitation);
+    createNotification(io, {
+      recipient: invitee._id,
+      actor: userId,
+      type: 'invitation',
+      topic: topicId,
+      invitation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitee.username}`,
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// List active invitations for a topic (admins only)
+exports.getTopicInvitations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can view invitations' });
+    }
+
+    const invitations = await Invitation.find({ topic: topicId, status: 'pending' })
+      .populate('inviter', 'username avatar')
+      .populate('invitee', 'username avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations: invitations.filter(invitation => invitation.isUsable())
+    });
+  } catch (error) {
+    console.error('Get topic invitations error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke an invitation or invite link (admins only)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId, invitationId } = req.params;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can revoke invitations' });
+    }
+
+    const invitation = await Invitation.findOne({ _id: invitationId, topic: topicId });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    if (invitation.invitee) {
+      emitToUser(req.app.get('io'), invitation.invitee, 'invitation-revoked', {
+        invitationId: invitation._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Pending direct invitations for the current user
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      invitee: req.user._id,
+      type: 'direct',
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('topic', 'name description isPrivate')
+      .populate('inviter', 'username avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      invitations
+    });
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Accept or decline a direct invitation
+const respondToInvitation = async (req, res, accept) => {
+  try {
+    const { invitationId } = req.params;
+    const userId = req.user._id;
+
+    const invitation = await Invitation.findOne({
+      _id: invitationId,
+      invitee: userId,
+      type: 'direct'
+    });
+
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(404).json({ message: 'Invitation not found or expired' });
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    await invitation.save();
+
+    if (!accept) {
+      return res.json({
+        success: true,
+        message: 'Invitation declined'
+      });
+    }
+
+    const topic = await addMember(invitation.topic, userId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      topic
+    });
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.acceptInvitation = (req, res) => respondToInvitation(req, res, true);
+
+exports.declineInvitation = (req, res) => respondToInvitation(req, res, false);
+
+// Preview the topic behind an invite link
+exports.getInviteLink = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const invitation = await Invitation.findOne({ code, type: 'link' })
+      .populate('topic', 'name description isPrivate members')
+      .populate('inviter', 'username avatar');
+
+    if (!invitation || !invitation.topic) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        _id: invitation._id,
+        code: invitation.code,
+        inviter: invitation.inviter,
+        expiresAt: invitation.expiresAt,
+        valid: invitation.isUsable(),
+        topic: {
+          _id: invitation.topic._id,
+          name: invitation.topic.name,
+          description: invitation.topic.description,
+          isPrivate: invitation.topic.isPrivate,
+          memberCount: invitation.topic.members.length
+        }
+      },
+      isMember: invitation.topic.isMember(req.user._id)
+    });
+  } catch (error) {
+    console.error('Get invite link error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Join a topic through an invite link
+exports.acceptInviteLink = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user._id;
+    const now = new Date();
+
+    const invitation = await Invitation.findOne({ code, type: 'link' });
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    const existingTopic = await Topic.findById(invitation.topic);
+    if (!existingTopic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (existingTopic.isMember(userId)) {
+      return res.status(400).json({ message: 'You are already a member of this topic' });
+    }
+
+    // Consume one use atomically so max-use limits hold under concurrent joins
+    const consumed = await Invitation.findOneAndUpdate(
+      {
+        _id: invitation._id,
+        status: 'pending',
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+
+    if (!consumed) {
+      return res.status(410).json({ message: 'This invite link has expired or reached its limit' });
+    }
+
+    const topic = await addMember(invitation.topic, userId);
+
+    res.json({
+      success: true,
+      message: 'Successfully joined topic',
+      topic
+    });
+  } catch (error) {
+    console.error('Accept invite link error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Ask the admins of a private topic to let you in
+exports.createJoinRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+    const { message } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(topicId)) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations cannot be joined' });
+    }
+
+    if (!topic.isPrivate) {
+      return res.status(400).json({ message: 'Public topics can be joined directly' });
+    }
+
+    if (topic.isMember(userId)) {
+      return res.status(400).json({ message: 'You are already a member of this topic' });
+    }
+
+    const existingRequest = await JoinRequest.findOne({ topic: topicId, user: userId, status: 'pending' });
+    if (existingRequest) {
+      return res.status(400).json({ message: 'You already have a pending request for this topic' });
+    }
+
+    const joinRequest = new JoinRequest({
+      topic: topicId,
+      user: userId,
+      message
+    });
+
+    await joinRequest.save();
+    await joinRequest.populate('user', 'username avatar');
+
+    // Let every admin know there is something to review
+    const io = req.app.get('io');
+    topic.admins.forEach(adminId => {
+      emitToUser(io, adminId, 'join-request-received', {
+        topicId: topic._id,
+        topicName: topic.name,
+        joinRequest
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Join request sent'
+    });
+  } catch (error) {
+    // Two requests racing past the check above meet the unique pending index
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a pending request for this topic' });
+    }
+    console.error('Create join request error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Pending join requests for a topic (admins only)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can view join requests' });
+    }
+
+    const joinRequests = await JoinRequest.find({ topic: topicId, status: 'pending' })
+      .populate('user', 'username avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      joinRequests
+    });
+  } catch (error) {
+    console.error('Get join requests error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Approve or deny a join request (admins only)
+const resolveJoinRequest = async (req, res, approve) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId, requestId } = req.params;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(userId)) {
+      return res.status(403).json({ message: 'Only topic admins can review join requests' });
+    }
+
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, topic: topicId, status: 'pending' });
+    if (!joinRequest) {
+      return res.status(404).json({ message: 'Join request not found' });
+    }
+
+    joinRequest.status = approve ? 'approved' : 'denied';
+    joinRequest.reviewedBy = userId;
+    joinRequest.reviewedAt = new Date();
+    await joinRequest.save();
+
+    if (approve) {
+      await addMember(topicId, joinRequest.user);
+    }
+
+    emitToUser(req.app.get('io'), joinRequest.user, 'join-request-resolved', {
+      topicId: topic._id,
+      topicName: topic.name,
+      status: joinRequest.status
+    });
+
+    res.json({
+      success: true,
+      message: approve ? 'Join request approved' : 'Join request denied'
+    });
+  } catch (error) {
+    console.error('Resolve join request error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+exports.approveJoinRequest = (req, res) => resolveJoinRequest(req, res, true);
+
+exports.denyJoinRequest = (req, res) => resolveJoinRequest(req, res, false);
@@ -1,7 +1,84 @@
 const Message = require('../models/Message');
 const Topic = require('../models/Topic');
 const User = require('../models/User');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
+const { getStorage } = require('../utils/storage');
+const { getImageInfo, createThumbnail } = require('../utils/images');
+const { IMAGE_TYPES } = require('../middleware/upload');
+const {
+  canStillEdit,
+  findReplyParent,
+  toggleReaction,
+  updateMessageContent,
+  removeMessage
+} = require('../utils/messageActions');
+const { emitConversationActivity, emitUnreadActivity, emitThreadReply } = require('../utils/realtime');
+const { getLastReadAt, getReadReceipts } = require('../utils/readState');
+const { notifyReply } = require('../utils/notifications');
+const { resolveMentions, emitMentions } = require('../utils/mentions');
+
+const SNIPPET_RADIUS = 60;
+const THUMBNAIL_SIZE = 320;
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES) || 25;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a message into plain/highlighted segments around the first search hit
+const buildSnippet = (content, terms) => {
+  if (terms.length === 0) {
+    return [{ text: content.slice(0, SNIPPET_RADIUS * 2), highlight: false }];
+  }
+
+  const termPattern = terms.map(escapeRegex).join('|');
+  const firstHit = content.search(new RegExp(termPattern, 'i'));
+  const start = firstHit > SNIPPET_RADIUS ? firstHit - SNIPPET_RADIUS : 0;
+  const end = Math.min(content.length, Math.max(firstHit, 0) + SNIPPET_RADIUS * 2);
+
+  let excerpt = content.slice(start, end);
+  if (start > 0) excerpt = `…${excerpt}`;
+  if (end < content.length) excerpt = `${excerpt}…`;
+
+  const lowerTerms = terms.map(term => term.toLowerCase());
+
+  return excerpt
+    .split(new RegExp(`(${termPattern})`, 'i'))
+    .filter(part => part.length > 0)
+    .map(part => ({
+      text: part,
+      highlight: lowerTerms.includes(part.toLowerCase())
+    }));
+};
+
+// Topics reserve pins for admins; direct conversations have none, so anyone in them may pin
+const canPinMessages = (topic, userId) => {
+  return topic.type === 'direct' ? topic.isMember(userId) : topic.isAdmin(userId);
+};
+
+// Attach reply counts and last-reply timestamps to thread parents
+const attachThreadStats = async (messages) => {
+  const stats = await Message.aggregate([
+    { $match: { replyTo: { $in: messages.map(msg => msg._id) } } },
+    {
+      $group: {
+        _id: '$replyTo',
+        replyCount: { $sum: 1 },
+        lastReplyAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  const statsById = new Map(stats.map(stat => [stat._id.toString(), stat]));
+
+  return messages.map(msg => {
+    const stat = statsById.get(msg._id.toString());
+    return {
+      ...msg.toObject(),
+      replyCount: stat ? stat.replyCount : 0,
+      lastReplyAt: stat ? stat.lastReplyAt : null
+    };
+  });
+};
 
 // Get messages for a topic
 exports.getMessages = async (req, res) => {
@@ -22,20 +99,28 @@ exports.getMessages = async (req, res) => {
       return res.status(403).json({ message: 'Access denied to this topic' });
     }
 
+    // Thread replies are only shown inside their thread
+    const timelineQuery = { topic: topicId, inThread: { $ne: true } };
+
     // Get messages with pagination
-    const messages = await Message.find({ topic: topicId })
-      .populate('sender', 'username avatar')
+    const messages = await Message.find(timelineQuery)
+      .populate('sender', 'username displayName avatar')
       .populate('replyTo', 'content sender')
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip(skip);
 
     // Get total count for pagination
-    const totalMessages = await Message.countDocuments({ topic: topicId });
+    const totalMessages = await Message.countDocuments(timelineQuery);
+
+    const messagesWithThreads = await attachThreadStats(messages);
 
     res.json({
       success: true,
-      messages: messages.reverse(), // Reverse to show oldest first
+      messages: messagesWithThreads.reverse(), // Reverse to show oldest first
+      // Where the user stopped reading, for the "new messages" divider
+      lastReadAt: page === 1 ? await getLastReadAt(topicId, req.user._id) : undefined,
+      readReceipts: page === 1 ? await getReadReceipts(topic, req.user._id) : undefined,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(totalMessages / limit),
@@ -49,6 +134,158 @@ exports.getMessages = async (req, res) => {
   }
 };
 
+// Full-text search across every topic the user can access
+exports.searchMessages = async (req, res) => {
+  try {
+    const { q, topic, sender, from, to, hasReply } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const userId = req.user._id;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ message: 'Search query is required' });
+    }
+
+    // Same access rules as getTopics: public topics plus private topics the user belongs to
+    const accessibleTopicIds = await Topic.find({
+      $or: [
+        { isPrivate: false },
+        { isPrivate: true, members: userId }
+      ]
+    }).distinct('_id');
+
+    const query = {
+      $text: { $search: q.trim() },
+      topic: { $in: accessibleTopicIds }
+    };
+
+    if (topic) {
+      const canSearchTopic = accessibleTopicIds.some(id => id.toString() === topic);
+      if (!canSearchTopic) {
+        return res.status(403).json({ message: 'Access denied to this topic' });
+      }
+      query.topic = topic;
+    }
+
+    if (sender) {
+      // Accept either a user id or a username
+      const senderUser = mongoose.Types.ObjectId.isValid(sender)
+        ? await User.findById(sender).select('_id')
+        : await User.findOne({ username: sender }).select('_id');
+
+      if (!senderUser) {
+        return res.json({
+          success: true,
+          results: [],
+          pagination: { currentPage: page, totalPages: 0, totalResults: 0, hasMore: false }
+        });
+      }
+      query.sender = senderUser._id;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    if (hasReply === 'true') {
+      const repliedToIds = await Message.distinct('replyTo', {
+        replyTo: { $ne: null },
+        topic: query.topic
+      });
+      query._id = { $in: repliedToIds };
+    }
+
+    const messages = await Message.find(query, { score: { $meta: 'textScore' } })
+      .populate('sender', 'username displayName avatar')
+      .populate('topic', 'name isPrivate type')
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .limit(limit)
+      .skip(skip);
+
+    const totalResults = await Message.countDocuments(query);
+
+    const terms = q
+      .replace(/"/g, ' ')
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'));
+
+    const results = messages.map(msg => ({
+      message: {
+        _id: msg._id,
+        content: msg.content,
+        sender: msg.sender,
+        topic: msg.topic,
+        replyTo: msg.replyTo,
+        inThread: msg.inThread,
+        createdAt: msg.createdAt
+      },
+      snippet: buildSnippet(msg.content, terms)
+    }));
+
+    res.json({
+      success: true,
+      results,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults,
+        hasMore: totalResults > skip + messages.length
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get a message together with all of its thread replies
+exports.getThread = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const parent = await Message.findById(messageId)
+      .populate('sender', 'username displayName avatar')
+      .populate('replyTo', 'content sender');
+
+    if (!parent) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    // Check if user has access to the parent's topic
+    const topic = await Topic.findById(parent.topic);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const hasAccess = !topic.isPrivate || topic.members.includes(req.user._id);
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this topic' });
+    }
+
+    const replies = await Message.find({ replyTo: parent._id })
+      .populate('sender', 'username displayName avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      parent,
+      replies,
+      replyCount: replies.length,
+      lastReplyAt: replies.length > 0 ? replies[replies.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Get thread error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Send a message
 exports.sendMessage = async (req, res) => {
   try {
@@ -61,7 +298,7 @@ exports.sendMessage = async (req, res) => {
     }
 
     const { topicId } = req.params;
-    const { content, messageType = 'text', replyTo } = req.body;
+    const { content, messageType = 'text', replyTo, inThread } = req.body;
 
     // Check if user has access to this topic
     const topic = await Topic.findById(topicId);
@@ -74,19 +311,27 @@ exports.sendMessage = async (req, res) => {
       return res.status(403).json({ message: 'Access denied to this topic' });
     }
 
+    if (replyTo && !await findReplyParent(replyTo, topic._id)) {
+      return res.status(404).json({ message: 'The message you are replying to was not found' });
+    }
+
+    const io = req.app.get('io');
+
     // Create message
     const message = new Message({
       content,
       sender: req.user._id,
       topic: topicId,
       messageType,
-      replyTo: replyTo || null
+      replyTo: replyTo || null,
+      inThread: Boolean(replyTo && inThread),
+      mentions: await resolveMentions(io, content, topic, req.user)
     });
 
     await message.save();
     
     // Populate sender info
-    await message.populate('sender', 'username avatar');
+    await message.populate('sender', 'username displayName avatar');
     
     if (replyTo) {
       await message.populate('replyTo', 'content sender');
@@ -96,6 +341,13 @@ exports.sendMessage = async (req, res) => {
     topic.updatedAt = new Date();
     await topic.save();
 
+    emitMentions(io, message, topic);
+    if (message.replyTo) {
+      // Same broadcast as socket replies so everyone's reply counts stay current
+      await emitThreadReply(io, message.replyTo._id, message);
+      notifyReply(io, message, message.replyTo);
+    }
+
     res.status(201).json({
       success: true,
       message
@@ -106,6 +358,122 @@ exports.sendMessage = async (req, res) => {
   }
 };
 
+// Upload a file or image and post it to a topic
+exports.uploadAttachment = async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    const { content = '', replyTo } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    if (content.length > 1000) {
+      return res.status(400).json({ message: 'Caption cannot exceed 1000 characters' });
+    }
+
+    // Check if user has access to this topic
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const hasAccess = !topic.isPrivate || topic.members.includes(req.user._id);
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this topic' });
+    }
+
+    if (replyTo && !await findReplyParent(replyTo, topic._id)) {
+      return res.status(404).json({ message: 'The message you are replying to was not found' });
+    }
+
+    const { buffer, originalname, mimetype, size } = req.file;
+    const isImage = IMAGE_TYPES.includes(mimetype);
+
+    const attachment = {
+      name: originalname,
+      size,
+      mimeType: mimetype
+    };
+
+    // Read dimensions up front so corrupt images are rejected before storing anything
+    let thumbnail = null;
+    if (isImage) {
+      try {
+        const { width, height, format } = await getImageInfo(buffer);
+        // The declared type is the client's word; the bytes have to agree with it
+        if (`image/${format}` !== mimetype) {
+          return res.status(400).json({ message: 'File content does not match its type' });
+        }
+        attachment.width = width;
+        attachment.height = height;
+        thumbnail = await createThumbnail(buffer, THUMBNAIL_SIZE);
+      } catch (imageError) {
+        console.error('Image processing error:', imageError.message);
+        return res.status(400).json({ message: 'Invalid image file' });
+      }
+    }
+
+    const storage = getStorage();
+    const stored = await storage.save(buffer, {
+      folder: 'attachments',
+      filename: originalname,
+      mimeType: mimetype
+    });
+
+    attachment.url = stored.url;
+    attachment.key = stored.key;
+    attachment.storage = stored.storage;
+
+    if (thumbnail) {
+      const storedThumbnail = await storage.save(thumbnail, {
+        folder: 'attachments/thumbnails',
+        filename: `${originalname}.webp`,
+        mimeType: 'image/webp'
+      });
+      attachment.thumbnailUrl = storedThumbnail.url;
+      attachment.thumbnailKey = storedThumbnail.key;
+    }
+
+    const message = new Message({
+      content: content.trim(),
+      sender: req.user._id,
+      topic: topicId,
+      messageType: isImage ? 'image' : 'file',
+      attachment,
+      replyTo: replyTo || null
+    });
+
+    await message.save();
+    await message.populate('sender', 'username displayName avatar');
+
+    if (replyTo) {
+      await message.populate('replyTo', 'content sender');
+    }
+
+    // Update topic's last activity
+    topic.updatedAt = new Date();
+    await topic.save();
+
+    const io = req.app.get('io');
+    io.in(topicId).emit('new-message', message);
+    emitConversationActivity(io, topic, message);
+    emitUnreadActivity(io, topic, message);
+    if (message.replyTo) {
+      await emitThreadReply(io, message.replyTo._id, message);
+      notifyReply(io, message, message.replyTo);
+    }
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Edit a message
 exports.editMessage = async (req, res) => {
   try {
@@ -122,22 +490,23 @@ exports.editMessage = async (req, res) => {
       return res.status(403).json({ message: 'Can only edit your own messages' });
     }
 
-    // Check if message is not too old (e.g., 15 minutes)
-    const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
-    if (message.createdAt < fifteenMinutesAgo) {
+    // Check if message is not too old (15 minutes)
+    if (!canStillEdit(message)) {
       return res.status(400).json({ message: 'Message is too old to edit' });
     }
 
-    message.content = content;
-    message.isEdited = true;
-    message.editedAt = new Date();
-    await message.save();
+    // Authors removed from a private topic can no longer change what they wrote there
+    const topic = await Topic.findById(message.topic);
+    const hasAccess = topic && (!topic.isPrivate || topic.members.includes(req.user._id));
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this topic' });
+    }
 
-    await message.populate('sender', 'username avatar');
+    const updatedMessage = await updateMessageContent(req.app.get('io'), message, topic, content, req.user);
 
     res.json({
       success: true,
-      message
+      message: updatedMessage
     });
   } catch (error) {
     console.error('Edit message error:', error);
@@ -145,6 +514,56 @@ exports.editMessage = async (req, res) => {
   }
 };
 
+// Get a message's revisions (topic members; admins also see who edited)
+exports.getMessageHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId)
+      .select('+editHistory')
+      .populate('sender', 'username displayName avatar')
+      .populate('editHistory.editedBy', 'username avatar');
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const topic = await Topic.findById(message.topic);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic members can view edit history' });
+    }
+
+    const isAdmin = topic.isAdmin(req.user._id);
+
+    const revisions = message.editHistory.map(revision => ({
+      content: revision.content,
+      writtenAt: revision.writtenAt,
+      replacedAt: revision.replacedAt,
+      ...(isAdmin && { editedBy: revision.editedBy })
+    }));
+
+    res.json({
+      success: true,
+      history: {
+        messageId: message._id,
+        sender: message.sender,
+        current: {
+          content: message.content,
+          writtenAt: message.editedAt || message.createdAt
+        },
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Delete a message
 exports.deleteMessage = async (req, res) => {
   try {
@@ -164,7 +583,7 @@ exports.deleteMessage = async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this message' });
     }
 
-    await Message.findByIdAndDelete(messageId);
+    await removeMessage(req.app.get('io'), message, topic, req.user);
 
     res.json({
       success: true,
@@ -176,41 +595,175 @@ exports.deleteMessage = async (req, res) => {
   }
 };
 
-// Add reaction to message
-exports.addReaction = async (req, res) => {
+// Get pinned messages for a topic (most recently pinned first)
+exports.getPinnedMessages = async (req, res) => {
+  try {
+    const { topicId } = req.params;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const hasAccess = !topic.isPrivate || topic.members.includes(req.user._id);
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this topic' });
+    }
+
+    const messages = await Message.find({ _id: { $in: topic.pinnedMessages } })
+      .populate('sender', 'username displayName avatar')
+      .populate('pinnedBy', 'username')
+      .sort({ pinnedAt: -1 });
+
+    res.json({
+      success: true,
+      messages,
+      limit: MAX_PINNED_MESSAGES
+    });
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Pin a message to its topic (admins only)
+exports.pinMessage = async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { emoji } = req.body;
 
     const message = await Message.findById(messageId);
     if (!message) {
       return res.status(404).json({ message: 'Message not found' });
     }
 
-    // Check if user already reacted with this emoji
-    const existingReaction = message.reactions.find(
-      r => r.user.toString() === req.user._id.toString() && r.emoji === emoji
+    const topic = await Topic.findById(message.topic);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!canPinMessages(topic, req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can pin messages' });
+    }
+
+    if (topic.pinnedMessages.some(id => id.toString() === messageId)) {
+      return res.status(400).json({ message: 'Message is already pinned' });
+    }
+
+    // Guard the cap atomically so concurrent pins cannot overshoot it
+    const updatedTopic = await Topic.findOneAndUpdate(
+      {
+        _id: topic._id,
+        pinnedMessages: { $ne: message._id },
+        [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+      },
+      { $push: { pinnedMessages: message._id } },
+      { new: true }
     );
 
-    if (existingReaction) {
-      // Remove reaction if it exists
-      message.reactions = message.reactions.filter(
-        r => !(r.user.toString() === req.user._id.toString() && r.emoji === emoji)
-      );
-    } else {
-      // Add new reaction
-      message.reactions.push({
-        user: req.user._id,
-        emoji
+    if (!updatedTopic) {
+      return res.status(400).json({
+        message: `A topic can have at most ${MAX_PINNED_MESSAGES} pinned messages`
       });
     }
 
+    message.pinnedBy = req.user._id;
+    message.pinnedAt = new Date();
+    await message.save();
+
+    await message.populate('sender', 'username displayName avatar');
+    await message.populate('pinnedBy', 'username');
+
+    req.app.get('io').in(topic._id.toString()).emit('message-pinned', {
+      topicId: topic._id,
+      message
+    });
+
+    res.json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Unpin a message (admins only)
+exports.unpinMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const topic = await Topic.findById(message.topic);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!canPinMessages(topic, req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can unpin messages' });
+    }
+
+    if (!topic.pinnedMessages.some(id => id.toString() === messageId)) {
+      return res.status(400).json({ message: 'Message is not pinned' });
+    }
+
+    await Topic.updateOne({ _id: topic._id }, { $pull: { pinnedMessages: message._id } });
+
+    message.pinnedBy = undefined;
+    message.pinnedAt = undefined;
     await message.save();
-    await message.populate('reactions.user', 'username');
+
+    req.app.get('io').in(topic._id.toString()).emit('message-unpinned', {
+      topicId: topic._id,
+      messageId,
+      unpinnedBy: { id: req.user._id, username: req.user.username }
+    });
+
+    res.json({
+      success: true,
+      message: 'Message unpinned'
+    });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Add reaction to message
+exports.addReaction = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    // Check if user has access to the message's topic
+    const topic = await Topic.findById(message.topic);
+    const hasAccess = topic && (!topic.isPrivate || topic.members.includes(req.user._id));
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this topic' });
+    }
+
+    const reactions = await toggleReaction(req.app.get('io'), message, req.user, emoji);
 
     res.json({
       success: true,
-      reactions: message.reactions
+      reactions
     });
   } catch (error) {
     console.error('Add reaction error:', error);
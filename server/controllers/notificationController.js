@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { countUnread, populateNotification } = require('../utils/notifications');
+const { emitToUser } = require('../utils/realtime');
+
+// Get the current user's notifications, newest first
+exports.getNotifications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const skip = (page - 1) * limit;
+    const userId = req.user._id;
+
+    const query = { recipient: userId };
+    if (req.query.unread === 'true') {
+      query.read = false;
+    }
+
+    const notifications = await populateNotification(
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip)
+    );
+
+    const [totalNotifications, unreadCount] = await Promise.all([
+      Notification.countDocuments(query),
+      countUnread(userId)
+    ]);
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalNotifications / limit),
+        totalNotifications,
+        hasMore: totalNotifications > skip + notifications.length
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Mark a single notification as read
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await populateNotification(
+      Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user._id },
+        { read: true, readAt: new Date() },
+        { new: true }
+      )
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const unreadCount = await countUnread(req.user._id);
+
+    // Keep the user's other tabs in sync
+    emitToUser(req.app.get('io'), req.user._id, 'notifications-read', {
+      notificationIds: [notification._id.toString()],
+      unreadCount
+    });
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Mark every notification as read
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    emitToUser(req.app.get('io'), req.user._id, 'notifications-read', { all: true, unreadCount: 0 });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      unreadCount: 0
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Delete a notification
+exports.deleteNotification = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndDelete({
+      _id: notificationId,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const unreadCount = await countUnread(req.user._id);
+
+    emitToUser(req.app.get('io'), req.user._id, 'notification-deleted', {
+      notificationId: notification._id.toString(),
+      unreadCount
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification deleted',
+      unreadCount
+    });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
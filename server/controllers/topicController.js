@@ -1,26 +1,96 @@
 const Topic = require('../models/Topic');
 const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const JoinRequest = require('../models/JoinRequest');
 const { validationResult } = require('express-validator');
+const Message = require('../models/Message');
+const { emitToUser, userRoom } = require('../utils/realtime');
+const { attachUnreadCounts, startReadStates, markRead, markAllRead } = require('../utils/readState');
+const { createNotification } = require('../utils/notifications');
+const NotificationPreference = require('../models/NotificationPreference');
+const ReadState = require('../models/ReadState');
+const Notification = require('../models/Notification');
+const { MUTE_DURATIONS, serializePreference } = require('../utils/notificationPreferences');
+
+const DEFAULT_TAG_COLOR = '#10b981';
+
+// Compares names case-insensitively without building a regex from user input
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Topics the user is allowed to see (direct messages are listed separately)
+const accessibleTopicsFilter = (userId) => ({
+  type: { $ne: 'direct' },
+  $or: [
+    { isPrivate: false },
+    { isPrivate: true, members: userId }
+  ]
+});
+
+// Lowercase, de-duplicate and colour incoming tags
+const normalizeTags = (tags = []) => {
+  const seen = new Set();
+
+  return tags.reduce((result, tag) => {
+    const name = tag.name.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!seen.has(name)) {
+      seen.add(name);
+      result.push({ name, color: tag.color || DEFAULT_TAG_COLOR });
+    }
+    return result;
+  }, []);
+};
+
+// Populate a topic the same way getTopics does
+const populateTopic = async (topic) => {
+  await topic.populate('creator', 'username avatar');
+  await topic.populate('members', 'username avatar');
+  return topic;
+};
+
+// Announce a role change to the topic room and the affected user
+const emitRoleChange = async (req, topic, targetUser, role) => {
+  const io = req.app.get('io');
+  const payload = {
+    topicId: topic._id,
+    user: { id: targetUser._id, username: targetUser.username },
+    role,
+    changedBy: { id: req.user._id, username: req.user.username },
+    topic
+  };
+
+  io.in(topic._id.toString()).emit('topic-role-changed', payload);
+  emitToUser(io, targetUser._id, 'topic-role-changed', payload);
+  await createNotification(io, {
+    recipient: targetUser._id,
+    actor: req.user._id,
+    type: 'role-change',
+    topic,
+    data: { role }
+  });
+};
 
 // Get all public topics and user's private topics
 exports.getTopics = async (req, res) => {
   try {
     const userId = req.user._id;
+    const { tag } = req.query;
 
     // Get public topics and private topics where user is a member
-    const topics = await Topic.find({
-      $or: [
-        { isPrivate: false },
-        { isPrivate: true, members: userId }
-      ]
-    })
+    const query = accessibleTopicsFilter(userId);
+
+    // Optionally narrow down to a single tag
+    if (tag) {
+      query['tags.name'] = tag.trim().toLowerCase();
+    }
+
+    const topics = await Topic.find(query)
     .populate('creator', 'username avatar')
     .populate('members', 'username avatar')
     .sort({ updatedAt: -1 });
 
     res.json({
       success: true,
-      topics
+      topics: await attachUnreadCounts(topics, userId)
     });
   } catch (error) {
     console.error('Get topics error:', error);
@@ -28,6 +98,155 @@ exports.getTopics = async (req, res) => {
   }
 };
 
+// Mark a topic as read, up to a given message or up to now
+exports.markTopicRead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+    const { messageId } = req.body;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isMember(userId)) {
+      return res.status(403).json({ message: 'You are not a member of this topic' });
+    }
+
+    let message = null;
+    if (messageId) {
+      message = await Message.findOne({ _id: messageId, topic: topic._id }).select('_id createdAt');
+      if (!message) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+    }
+
+    const readState = await markRead(req.app.get('io'), topic._id, req.user, message);
+
+    res.json({
+      success: true,
+      lastReadAt: readState.lastReadAt
+    });
+  } catch (error) {
+    console.error('Mark topic read error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Mark every topic and conversation the user belongs to as read
+exports.markAllTopicsRead = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const topicIds = await Topic.find({ members: userId }).distinct('_id');
+
+    const lastReadAt = await markAllRead(req.app.get('io'), topicIds, req.user);
+
+    res.json({
+      success: true,
+      message: 'All topics marked as read',
+      lastReadAt
+    });
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Update the user's notification level or mute for a topic
+exports.updateNotificationPreference = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { topicId } = req.params;
+    const { level, mute } = req.body;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isMember(userId)) {
+      return res.status(403).json({ message: 'You are not a member of this topic' });
+    }
+
+    const updates = {};
+    if (level !== undefined) updates.level = level;
+    if (mute === 'off') {
+      updates.muted = false;
+      updates.mutedUntil = null;
+    } else if (mute !== undefined) {
+      const duration = MUTE_DURATIONS[mute];
+      updates.muted = true;
+      updates.mutedUntil = duration ? new Date(Date.now() + duration) : null;
+    }
+
+    const preference = await NotificationPreference.findOneAndUpdate(
+      { topic: topic._id, user: userId },
+      { $set: updates },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    const notificationPreference = serializePreference(preference);
+
+    // Keep the user's other tabs in sync
+    emitToUser(req.app.get('io'), userId, 'notification-preference-updated', {
+      topicId: topic._id.toString(),
+      notificationPreference
+    });
+
+    res.json({
+      success: true,
+      notificationPreference
+    });
+  } catch (error) {
+    console.error('Update notification preference error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get tag usage counts across the topics the user can see
+exports.getTags = async (req, res) => {
+  try {
+    const tags = await Topic.aggregate([
+      { $match: accessibleTopicsFilter(req.user._id) },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags.name',
+          color: { $first: '$tags.color' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', color: 1, count: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      tags
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Create a new topic
 exports.createTopic = async (req, res) => {
   try {
@@ -43,9 +262,7 @@ exports.createTopic = async (req, res) => {
     const userId = req.user._id;
 
     // Check if topic name already exists
-    const existingTopic = await Topic.findOne({ 
-      name: { $regex: new RegExp(`^${name}$`, 'i') } 
-    });
+    const existingTopic = await Topic.findOne({ name }).collation(CASE_INSENSITIVE);
 
     if (existingTopic) {
       return res.status(400).json({ 
@@ -61,10 +278,11 @@ exports.createTopic = async (req, res) => {
       creator: userId,
       members: [userId],
       admins: [userId],
-      tags: tags || []
+      tags: normalizeTags(tags)
     });
 
     await topic.save();
+    await startReadStates(topic._id, [userId]);
     await topic.populate('creator', 'username avatar');
     await topic.populate('members', 'username avatar');
 
@@ -93,7 +311,7 @@ exports.joinTopic = async (req, res) => {
     // Check if topic is private
     if (topic.isPrivate) {
       return res.status(403).json({ 
-        message: 'Cannot join private topic without invitation' 
+        message: 'Cannot join private topic without invitation. Ask an admin for an invite or send a join request.' 
       });
     }
 
@@ -107,6 +325,7 @@ exports.joinTopic = async (req, res) => {
     // Add user to members
     topic.members.push(userId);
     await topic.save();
+    await startReadStates(topic._id, [userId]);
 
     await topic.populate('creator', 'username avatar');
     await topic.populate('members', 'username avatar');
@@ -133,6 +352,10 @@ exports.leaveTopic = async (req, res) => {
       return res.status(404).json({ message: 'Topic not found' });
     }
 
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations cannot be left' });
+    }
+
     // Check if user is a member
     if (!topic.members.includes(userId)) {
       return res.status(400).json({ 
@@ -201,6 +424,141 @@ exports.getTopicById = async (req, res) => {
   }
 };
 
+// Update topic details (admins only)
+exports.updateTopic = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const { topicId } = req.params;
+    const { name, description, isPrivate, tags } = req.body;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(userId)) {
+      return res.status(403).json({ message: 'Only topic admins can edit this topic' });
+    }
+
+    // Check the new name against other topics, ignoring case
+    if (name !== undefined && name !== topic.name) {
+      const existingTopic = await Topic.findOne({
+        _id: { $ne: topic._id },
+        name
+      }).collation(CASE_INSENSITIVE);
+
+      if (existingTopic) {
+        return res.status(400).json({ 
+          message: 'A topic with this name already exists' 
+        });
+      }
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (description !== undefined) updates.description = description;
+    if (isPrivate !== undefined) updates.isPrivate = isPrivate === true || isPrivate === 'true';
+    if (tags !== undefined) updates.tags = normalizeTags(tags);
+
+    // Record only the fields that actually changed
+    const plainTags = (value) => value.map(tag => ({ name: tag.name, color: tag.color }));
+    const changes = Object.entries(updates).reduce((result, [field, value]) => {
+      const from = field === 'tags' ? plainTags(topic.tags) : topic[field];
+      if (JSON.stringify(from ?? '') !== JSON.stringify(value ?? '')) {
+        result.push({ field, from, to: value });
+      }
+      return result;
+    }, []);
+
+    if (changes.length === 0) {
+      await populateTopic(topic);
+      return res.json({
+        success: true,
+        message: 'No changes to save',
+        topic
+      });
+    }
+
+    changes.forEach(({ field, to }) => {
+      topic[field] = to;
+    });
+    await topic.save();
+
+    await Topic.updateOne(
+      { _id: topic._id },
+      { $push: { editHistory: { editor: userId, changes } } }
+    );
+
+    await populateTopic(topic);
+
+    const io = req.app.get('io');
+    const payload = {
+      topic,
+      changes: changes.map(change => change.field),
+      updatedBy: { id: userId, username: req.user.username }
+    };
+
+    // Public topics are listed for everyone; private ones only for members
+    if (topic.isPrivate) {
+      topic.members.forEach(member => emitToUser(io, member._id, 'topic-updated', payload));
+
+      // A topic that just went private disappears for everyone else, and their
+      // sockets stop receiving its messages
+      if (changes.some(change => change.field === 'isPrivate')) {
+        const memberRooms = topic.members.map(member => userRoom(member._id.toString()));
+        io.in(topicId).except(memberRooms).socketsLeave(topicId);
+        io.except(memberRooms).emit('topic-hidden', { topicId: topic._id.toString() });
+      }
+    } else {
+      io.emit('topic-updated', payload);
+    }
+
+    res.json({
+      success: true,
+      message: 'Topic updated successfully',
+      topic
+    });
+  } catch (error) {
+    console.error('Update topic error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get a topic's edit history (admins only)
+exports.getTopicHistory = async (req, res) => {
+  try {
+    const { topicId } = req.params;
+
+    const topic = await Topic.findById(topicId)
+      .select('+editHistory')
+      .populate('editHistory.editor', 'username avatar');
+
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (!topic.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can view edit history' });
+    }
+
+    res.json({
+      success: true,
+      history: [...topic.editHistory].reverse()
+    });
+  } catch (error) {
+    console.error('Get topic history error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Delete a topic (creator only)
 exports.deleteTopic = async (req, res) => {
   try {
@@ -212,6 +570,11 @@ exports.deleteTopic = async (req, res) => {
       return res.status(404).json({ message: 'Topic not found' });
     }
 
+    // A conversation belongs to all of its participants, not just whoever started it
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations cannot be deleted' });
+    }
+
     // Check if user is the creator
     if (topic.creator.toString() !== userId.toString()) {
       return res.status(403).json({ 
@@ -220,6 +583,13 @@ exports.deleteTopic = async (req, res) => {
     }
 
     await Topic.findByIdAndDelete(topicId);
+    await Promise.all([
+      Invitation.deleteMany({ topic: topicId }),
+      JoinRequest.deleteMany({ topic: topicId }),
+      ReadState.deleteMany({ topic: topicId }),
+      NotificationPreference.deleteMany({ topic: topicId }),
+      Notification.deleteMany({ topic: topicId })
+    ]);
 
     res.json({
       success: true,
@@ -230,3 +600,242 @@ exports.deleteTopic = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+// Transfer topic ownership to another member (owner only)
+exports.transferOwnership = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation errors', 
+        errors: errors.array() 
+      });
+    }
+
+    const { topicId } = req.params;
+    const { userId: newOwnerId } = req.body;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations have no owner to transfer' });
+    }
+
+    if (!topic.isOwner(userId)) {
+      return res.status(403).json({ message: 'Only the topic owner can transfer ownership' });
+    }
+
+    if (topic.isOwner(newOwnerId)) {
+      return res.status(400).json({ message: 'You already own this topic' });
+    }
+
+    if (!topic.isMember(newOwnerId)) {
+      return res.status(400).json({ message: 'New owner must be a member of this topic' });
+    }
+
+    const newOwner = await User.findById(newOwnerId).select('username avatar');
+    if (!newOwner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // The new owner is always an admin; the previous owner stays on as admin
+    topic.creator = newOwner._id;
+    if (!topic.isAdmin(newOwner._id)) {
+      topic.admins.push(newOwner._id);
+    }
+
+    await topic.save();
+    await populateTopic(topic);
+
+    await emitRoleChange(req, topic, newOwner, 'owner');
+
+    res.json({
+      success: true,
+      message: `Ownership transferred to ${newOwner.username}`,
+      topic
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Promote a member to admin (admins only)
+exports.addAdmin = async (req, res) => {
+  try {
+    const { topicId, userId: targetId } = req.params;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations do not have admins' });
+    }
+
+    if (!topic.isAdmin(req.user._id)) {
+      return res.status(403).json({ message: 'Only topic admins can promote members' });
+    }
+
+    if (!topic.isMember(targetId)) {
+      return res.status(400).json({ message: 'User is not a member of this topic' });
+    }
+
+    if (topic.isAdmin(targetId)) {
+      return res.status(400).json({ message: 'User is already an admin' });
+    }
+
+    const targetUser = await User.findById(targetId).select('username avatar');
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    topic.admins.push(targetUser._id);
+    await topic.save();
+    await populateTopic(topic);
+
+    await emitRoleChange(req, topic, targetUser, 'admin');
+
+    res.json({
+      success: true,
+      message: `${targetUser.username} is now an admin`,
+      topic
+    });
+  } catch (error) {
+    console.error('Add admin error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Demote an admin back to member (owner, or an admin stepping down)
+exports.removeAdmin = async (req, res) => {
+  try {
+    const { topicId, userId: targetId } = req.params;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Direct conversations do not have admins' });
+    }
+
+    const isSelf = targetId === userId.toString();
+    if (!topic.isOwner(userId) && !(isSelf && topic.isAdmin(userId))) {
+      return res.status(403).json({ message: 'Only the topic owner can remove admins' });
+    }
+
+    if (topic.isOwner(targetId)) {
+      return res.status(400).json({
+        message: 'The topic owner must stay an admin. Transfer ownership first.'
+      });
+    }
+
+    if (!topic.isAdmin(targetId)) {
+      return res.status(400).json({ message: 'User is not an admin' });
+    }
+
+    const targetUser = await User.findById(targetId).select('username avatar');
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    topic.admins = topic.admins.filter(
+      admin => admin.toString() !== targetId
+    );
+    await topic.save();
+    await populateTopic(topic);
+
+    await emitRoleChange(req, topic, targetUser, 'member');
+
+    res.json({
+      success: true,
+      message: `${targetUser.username} is no longer an admin`,
+      topic
+    });
+  } catch (error) {
+    console.error('Remove admin error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Remove (kick) a member from a topic (admins only)
+exports.removeMember = async (req, res) => {
+  try {
+    const { topicId, userId: targetId } = req.params;
+    const userId = req.user._id;
+
+    const topic = await Topic.findById(topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (topic.type === 'direct') {
+      return res.status(400).json({ message: 'Members cannot be removed from direct conversations' });
+    }
+
+    if (!topic.isAdmin(userId)) {
+      return res.status(403).json({ message: 'Only topic admins can remove members' });
+    }
+
+    if (targetId === userId.toString()) {
+      return res.status(400).json({ message: 'Use leave to remove yourself from a topic' });
+    }
+
+    if (!topic.isMember(targetId)) {
+      return res.status(400).json({ message: 'User is not a member of this topic' });
+    }
+
+    if (topic.isOwner(targetId)) {
+      return res.status(403).json({ message: 'The topic owner cannot be removed' });
+    }
+
+    // Only the owner may remove other admins
+    if (topic.isAdmin(targetId) && !topic.isOwner(userId)) {
+      return res.status(403).json({ message: 'Only the topic owner can remove admins' });
+    }
+
+    const targetUser = await User.findById(targetId).select('username avatar');
+
+    topic.members = topic.members.filter(
+      member => member.toString() !== targetId
+    );
+    topic.admins = topic.admins.filter(
+      admin => admin.toString() !== targetId
+    );
+    await topic.save();
+    await populateTopic(topic);
+
+    const io = req.app.get('io');
+    const payload = {
+      topicId: topic._id,
+      user: { id: targetId, username: targetUser?.username },
+      removedBy: { id: userId, username: req.user.username },
+      topic
+    };
+
+    io.in(topicId).emit('topic-member-removed', payload);
+    emitToUser(io, targetId, 'topic-member-removed', payload);
+
+    // Private topics are no longer readable, so drop the user's sockets from the room
+    if (topic.isPrivate) {
+      io.in(userRoom(targetId)).socketsLeave(topicId);
+    }
+
+    res.json({
+      success: true,
+      message: `${targetUser?.username || 'User'} was removed from the topic`,
+      topic
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
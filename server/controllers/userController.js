@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { getStorage, removeStoredFile } = require('../utils/storage');
+const { createAvatar } = require('../utils/images');
+
+const AVATAR_SIZE = 256;
+
+// What anyone signed in can see about a user
+const serializePublicProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  displayName: user.displayName,
+  bio: user.bio,
+  timezone: user.timezone,
+  avatar: user.avatar,
+  isOnline: user.isOnline,
+  lastSeen: user.lastSeen,
+  createdAt: user.createdAt
+});
+
+// The public profile plus fields only the owner sees
+const serializeOwnProfile = (user) => ({
+  ...serializePublicProfile(user),
+  email: user.email
+});
+
+// Remove a previously stored avatar file; failures are logged, not fatal
+const removeAvatarFile = async (user) => {
+  if (!user.avatarKey) return;
+  try {
+    await removeStoredFile(user.avatarStorage, user.avatarKey);
+  } catch (storageError) {
+    console.error('Avatar cleanup error:', storageError.message);
+  }
+};
+
+// Get the current user's profile
+exports.getMyProfile = async (req, res) => {
+  try {
+    res.json({ profile: serializeOwnProfile(req.user) });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Update display name, bio and time zone
+exports.updateMyProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    ['displayName', 'bio', 'timezone'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, {
+      new: true,
+      runValidators: true
+    });
+
+    res.json({
+      message: 'Profile updated',
+      profile: serializeOwnProfile(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Upload a new avatar, resized to a square before it is stored
+exports.uploadAvatar = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    let avatar;
+    try {
+      avatar = await createAvatar(req.file.buffer, AVATAR_SIZE);
+    } catch (imageError) {
+      console.error('Image processing error:', imageError.message);
+      return res.status(400).json({ message: 'Invalid image file' });
+    }
+
+    const stored = await getStorage().save(avatar, {
+      folder: 'avatars',
+      filename: `${req.user._id}.webp`,
+      mimeType: 'image/webp'
+    });
+
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      avatar: stored.url,
+      avatarKey: stored.key,
+      avatarStorage: stored.storage
+    });
+    await removeAvatarFile(previous);
+
+    const user = await User.findById(req.user._id);
+    res.json({
+      message: 'Avatar updated',
+      profile: serializeOwnProfile(user)
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Go back to the initial-letter placeholder
+exports.removeAvatar = async (req, res) => {
+  try {
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      avatar: null,
+      avatarKey: null,
+      avatarStorage: null
+    });
+    await removeAvatarFile(previous);
+
+    const user = await User.findById(req.user._id);
+    res.json({
+      message: 'Avatar removed',
+      profile: serializeOwnProfile(user)
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Get another user's public profile
+exports.getUserProfile = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ profile: serializePublicProfile(user) });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
 
 const auth = async (req, res, next) => {
   try {
@@ -31,8 +33,25 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid - user not found' });
     }
 
-    // Add user to request object
+    // Resetting the password signs out every existing session
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Access tokens only live as long as the session they were issued for
+    if (!decoded.sid || !await Session.exists({ _id: decoded.sid, user: user._id })) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Add user, session and token details to request object
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenId = decoded.jti;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
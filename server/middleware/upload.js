@@ -0,0 +1,58 @@
+const multer = require('multer');
+
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE) || 10 * 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const ATTACHMENT_TYPES = [
+  ...IMAGE_TYPES,
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Single-file upload kept in memory, with size/type errors returned as 400s
+const uploadSingle = (field, { allowedTypes, maxSize }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = 'UNSUPPORTED_FILE_TYPE';
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          message: `File too large (max ${Math.round(maxSize / (1024 * 1024))}MB)`
+        });
+      }
+
+      if (err instanceof multer.MulterError || err.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(400).json({ message: err.message });
+      }
+
+      next(err);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle,
+  IMAGE_TYPES,
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE
+};
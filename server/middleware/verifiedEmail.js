@@ -0,0 +1,28 @@
+const User = require('../models/User');
+const { isVerificationRequired } = require('../utils/emailVerification');
+
+const VERIFICATION_MESSAGE = 'Please verify your email address before posting';
+
+// Block posting for unverified users when verification is enforced
+const requireVerifiedEmail = (req, res, next) => {
+  if (!isVerificationRequired() || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({ message: VERIFICATION_MESSAGE, code: 'EMAIL_NOT_VERIFIED' });
+};
+
+// Sockets keep the user loaded when they connected, so an unverified flag is re-checked
+const canSocketPost = async (socket) => {
+  if (!isVerificationRequired() || socket.user.emailVerified) return true;
+
+  const user = await User.findById(socket.user._id).select('emailVerified');
+  socket.user.emailVerified = Boolean(user?.emailVerified);
+  return socket.user.emailVerified;
+};
+
+module.exports = {
+  VERIFICATION_MESSAGE,
+  requireVerifiedEmail,
+  canSocketPost
+};
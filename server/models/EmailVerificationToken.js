@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A single-use email verification link; only the token's hash is stored
+const emailVerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the link confirms a change of address rather than the current one
+  email: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes tokens once they expire
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  inviter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct invites target one user; link invites are shared by code
+  type: {
+    type: String,
+    enum: ['direct', 'link'],
+    required: true
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  code: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ invitee: 1, status: 1 });
+invitationSchema.index({ topic: 1, status: 1 });
+
+// Pending, not expired and not used up
+invitationSchema.methods.isUsable = function() {
+  if (this.status !== 'pending') return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.maxUses != null && this.uses >= this.maxUses) return false;
+  return true;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const joinRequestSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Only one open request per user and topic
+joinRequestSchema.index(
+  { topic: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('JoinRequest', joinRequestSchema);
@@ -3,9 +3,13 @@ const mongoose = require('mongoose');
 const messageSchema = new mongoose.Schema({
   content: {
     type: String,
-    required: true,
+    // Attachments may be sent without a caption
+    required: function() {
+      return this.messageType === 'text';
+    },
     trim: true,
-    maxLength: 1000
+    maxLength: 1000,
+    default: ''
   },
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -22,15 +26,60 @@ const messageSchema = new mongoose.Schema({
     enum: ['text', 'image', 'file'],
     default: 'text'
   },
+  attachment: {
+    url: String,
+    thumbnailUrl: String,
+    name: String,
+    size: Number,
+    mimeType: String,
+    width: Number,
+    height: Number,
+    storage: {
+      type: String,
+      enum: ['local', 'cloudinary']
+    },
+    key: String,
+    thumbnailKey: String
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
   editedAt: Date,
+  // Prior revisions, oldest first; loaded explicitly by the history endpoint
+  editHistory: {
+    type: [{
+      content: String,
+      // When this revision was written and when it was replaced
+      writtenAt: Date,
+      replacedAt: Date,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    select: false
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Replies posted from the thread panel stay out of the main topic timeline
+  inThread: {
+    type: Boolean,
+    default: false
+  },
+  // Members notified by @username, @here or @all when the message was sent
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set while the message is listed in its topic's pinnedMessages
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -49,5 +98,8 @@ const messageSchema = new mongoose.Schema({
 // Index for efficient queries
 messageSchema.index({ topic: 1, createdAt: -1 });
 messageSchema.index({ sender: 1 });
+messageSchema.index({ replyTo: 1, createdAt: 1 });
+messageSchema.index({ mentions: 1, createdAt: -1 });
+messageSchema.index({ content: 'text' });
 
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'reply', 'reaction', 'invitation', 'role-change'],
+    required: true
+  },
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+  // Type-specific details, e.g. the emoji of a reaction or the new role
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
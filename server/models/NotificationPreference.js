@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A user's notification settings for one topic or conversation
+const notificationPreferenceSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['all', 'mentions', 'none'],
+    default: 'all'
+  },
+  // Muting silences the topic entirely; without mutedUntil it lasts until unmuted
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  mutedUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.index({ user: 1, topic: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// How far a user has read in a topic or conversation
+const readStateSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Messages created after this point count as unread
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the user actually read up to; joining sets lastReadAt but not this,
+  // so read receipts only show people who have opened the topic
+  seenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+readStateSchema.index({ user: 1, topic: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReadState', readStateSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, and the session holds the
+// hash of the refresh token that renews them.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The token this one replaced, to spot a refresh token being used twice
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// MongoDB removes sessions once their refresh token expires
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -16,6 +16,18 @@ const topicSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Direct messages reuse topics as private, unnamed conversations
+  type: {
+    type: String,
+    enum: ['topic', 'direct'],
+    default: 'topic'
+  },
+  // Sorted participant ids, so the same group of people shares one conversation
+  dmKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -34,11 +46,53 @@ const topicSchema = new mongoose.Schema({
     ref: 'Message'
   }],
   tags: [{
-    name: String,
+    name: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 20
+    },
     color: String
-  }]
+  }],
+  // Audit trail of metadata edits; loaded explicitly since topic lists don't need it
+  editHistory: {
+    type: [{
+      editor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      editedAt: {
+        type: Date,
+        default: Date.now
+      },
+      changes: [{
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }]
+    }],
+    select: false
+  }
 }, {
   timestamps: true
 });
 
+topicSchema.index({ 'tags.name': 1 });
+topicSchema.index({ type: 1, members: 1, updatedAt: -1 });
+
+// Works whether members/admins/creator are populated or plain ids
+const sameId = (value, userId) => (value._id || value).toString() === userId.toString();
+
+topicSchema.methods.isMember = function(userId) {
+  return this.members.some(member => sameId(member, userId));
+};
+
+topicSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(admin => sameId(admin, userId));
+};
+
+topicSchema.methods.isOwner = function(userId) {
+  return sameId(this.creator, userId);
+};
+
 module.exports = mongoose.model('Topic', topicSchema);
@@ -25,6 +25,45 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Where the avatar file is stored, so replacing it can clean up the old one
+  avatarKey: {
+    type: String,
+    default: null
+  },
+  avatarStorage: {
+    type: String,
+    enum: ['local', 'cloudinary', null],
+    default: null
+  },
+  // Optional name shown instead of the username
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 300,
+    default: ''
+  },
+  // IANA time zone, e.g. Europe/Berlin
+  timezone: {
+    type: String,
+    default: ''
+  },
+  // Set once the user opens the link from their verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address waiting for confirmation; the current one stays in use until then
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -32,6 +71,56 @@ const userSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  // Whether other members can see how far this user has read
+  shareReadReceipts: {
+    type: Boolean,
+    default: true
+  },
+  // How often to email a summary of missed activity
+  digestFrequency: {
+    type: String,
+    enum: ['off', 'daily', 'weekly'],
+    default: 'off'
+  },
+  lastDigestSentAt: {
+    type: Date,
+    default: null
+  },
+  // Tokens issued before this point are no longer accepted
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Two-factor authentication; secrets and recovery codes are never selected by default
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Secret waiting for its first code during enrolment
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Last accepted time step, so a code cannot be used twice
+  twoFactorLastCounter: {
+    type: Number,
+    default: -1,
+    select: false
+  },
+  recoveryCodes: {
+    type: [{
+      codeHash: String,
+      usedAt: { type: Date, default: null }
+    }],
+    default: [],
+    select: false
   }
 }, {
   timestamps: true
@@ -47,4 +136,10 @@ userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Whether a token issued at `issuedAt` (JWT seconds) predates the last password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,12 +1,137 @@
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Topic = require('../models/Topic');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
 const auth = require('../middleware/auth');
+const { logout } = require('../controllers/authController');
+const { emitReadReceipt } = require('../utils/readState');
+const { emitToUser } = require('../utils/realtime');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const {
+  getResendCooldown,
+  sendVerificationEmail,
+  sendEmailChangeVerification,
+  sendEmailChangedNotice
+} = require('../utils/emailVerification');
+const {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  serializeSession,
+  revokeSessions
+} = require('../utils/sessions');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+// Reset and verification emails go to real inboxes, so requests are throttled per IP
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { message: 'Too many email requests, please try again later.' }
+});
+
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Guesses at six-digit codes are throttled per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: 'Too many verification attempts, please try again later.' }
+});
+
+// Stops a stolen session from guessing the current password
+const passwordChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: 'Too many password attempts, please try again later.' }
+});
+
+// The signed-in user as the client sees it, shared by every auth response
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  emailVerified: user.emailVerified,
+  pendingEmail: user.pendingEmail,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin,
+  shareReadReceipts: user.shareReadReceipts,
+  digestFrequency: user.digestFrequency
+});
+
+// Record the login and open a session; both the password and the two-factor step end here
+const completeLogin = async (user, req) => {
+  user.lastLogin = new Date();
+  await User.updateOne({ _id: user._id }, { lastLogin: user.lastLogin });
+
+  // Short-lived access token plus a refresh token for this device
+  return createSession(user, req);
+};
+
+// Check a TOTP code or an unused recovery code for a user with two-factor enabled.
+// Accepted codes are consumed atomically so each works only once.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select('+twoFactorSecret +twoFactorLastCounter');
+  if (!user || !user.twoFactorEnabled) return false;
+
+  if (recoveryCode) {
+    const result = await User.updateOne(
+      { _id: user._id, recoveryCodes: { $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const counter = verifyCode(user.twoFactorSecret, code, user.twoFactorLastCounter);
+  if (counter === null) return false;
+
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorLastCounter: { $lt: counter } },
+    { twoFactorLastCounter: counter }
+  );
+  return result.modifiedCount === 1;
+};
+
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('Enter a code from your authenticator app or a recovery code');
+    }
+    return true;
+  })
+];
+
 // POST /api/auth/register
 router.post('/register', [
   body('username')
@@ -57,21 +182,21 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // A failed email should not fail the signup; the user can ask for another one
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Short-lived access token plus a refresh token for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
+      refreshToken,
+      user: serializeUser(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -112,27 +237,30 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    // Accounts with two-factor need a code before they get a session
+    if (user.twoFactorEnabled) {
+      // The JWT id lets the challenge be spent once it has been answered
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: 'two-factor' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+      );
+      return res.json({
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await completeLogin(user, req);
 
     console.log('✅ User logged in:', user.username);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
+      refreshToken,
+      user: serializeUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -140,6 +268,515 @@ router.post('/login', [
   }
 });
 
+// POST /api/auth/login/two-factor - Second login step for accounts with 2FA
+router.post('/login/two-factor', twoFactorLimiter, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  ...secondFactorValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch {
+      challenge = null;
+    }
+    const expired = { message: 'This sign-in attempt has expired, please sign in again' };
+    if (!challenge || challenge.purpose !== 'two-factor' || !challenge.jti) {
+      return res.status(400).json(expired);
+    }
+    if (await RevokedToken.exists({ jti: challenge.jti })) {
+      return res.status(400).json(expired);
+    }
+
+    if (!await verifySecondFactor(challenge.id, req.body)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    // Spend the challenge so it can't be replayed for another session; the unique
+    // jti also settles two requests racing with the same challenge
+    try {
+      await RevokedToken.create({
+        jti: challenge.jti,
+        user: challenge.id,
+        expiresAt: new Date(challenge.exp * 1000)
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json(expired);
+      }
+      throw error;
+    }
+
+    const user = await User.findById(challenge.id);
+    if (!user) {
+      return res.status(400).json(expired);
+    }
+    const { token, refreshToken } = await completeLogin(user, req);
+
+    console.log('✅ User logged in with two-factor:', user.username);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      recoveryCodesRemaining: user.recoveryCodes.filter(code => !code.usedAt).length
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error while fetching two-factor status' });
+  }
+});
+
+// POST /api/auth/2fa/setup - Start enrolment with a new secret
+router.post('/2fa/setup', auth, [
+  body('password')
+    .exists()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    // Not active until confirmed with a first code
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { twoFactorPendingSecret: secret });
+
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+    res.json({
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/enable - Confirm enrolment with a first code
+router.post('/2fa/enable', auth, twoFactorLimiter, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Enter the code from your authenticator app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const counter = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (counter === null) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorLastCounter: counter,
+      recoveryCodes: hashes
+    });
+
+    console.log('🔐 Two-factor enabled:', user.username);
+
+    // The only time the plain recovery codes are shown
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/disable - Turn two-factor off
+router.post('/2fa/disable', auth, twoFactorLimiter, [
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  ...secondFactorValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+    if (!await verifySecondFactor(user._id, req.body)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorLastCounter: -1,
+      recoveryCodes: []
+    });
+
+    console.log('🔓 Two-factor disabled:', user.username);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes
+router.post('/2fa/recovery-codes', auth, twoFactorLimiter, secondFactorValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifySecondFactor(req.user._id, req.body)) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { recoveryCodes: hashes });
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+});
+
+// POST /api/auth/forgot-password - Email a one-time reset link
+router.post('/forgot-password', emailLimiter, [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // The same answer either way, so the endpoint cannot be used to probe for accounts
+    const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.json(response);
+    }
+
+    // Only the newest link works
+    await PasswordResetToken.deleteMany({ user: user._id });
+    const { token, tokenHash } = generateToken();
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL)
+    });
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your TopicChat password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password for your TopicChat account.',
+        `Choose a new password here (the link expires in one hour): ${resetUrl}`,
+        '',
+        'If this was not you, you can ignore this email.'
+      ].join('\n'),
+      html: `<p>Hi ${user.username},</p>` +
+        '<p>Someone asked to reset the password for your TopicChat account.</p>' +
+        `<p><a href="${resetUrl}">Choose a new password</a> (the link expires in one hour).</p>` +
+        '<p>If this was not you, you can ignore this email.</p>'
+    });
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', emailLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Deleting the token as it is redeemed makes it single-use
+    const resetToken = await PasswordResetToken.findOneAndDelete({
+      tokenHash: hashToken(req.body.token),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!resetToken) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    // The model hashes the new password on save
+    user.password = req.body.password;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out every session that used the old password
+    await PasswordResetToken.deleteMany({ user: user._id });
+    await revokeSessions(req.app.get('io'), { user: user._id });
+
+    console.log('🔑 Password reset:', user.username);
+
+    res.json({ message: 'Password has been reset. You can now sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// GET /api/auth/verify-email/:token - Confirm an email address
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    // Deleting the token as it is redeemed makes it single-use
+    const verificationToken = await EmailVerificationToken.findOneAndDelete({
+      tokenHash: hashToken(req.params.token),
+      expiresAt: { $gt: new Date() }
+    });
+    if (!verificationToken) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    // A link for an address change moves the account over to the new address
+    const newEmail = verificationToken.email;
+    if (newEmail && await User.exists({ email: newEmail, _id: { $ne: verificationToken.user } })) {
+      return res.status(400).json({ message: 'This email address is already in use' });
+    }
+
+    const previous = await User.findById(verificationToken.user).select('email pendingEmail');
+    if (!previous || (newEmail && previous.pendingEmail !== newEmail)) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    const updates = { emailVerified: true };
+    if (newEmail) {
+      updates.email = newEmail;
+      updates.pendingEmail = null;
+    }
+    let user;
+    try {
+      user = await User.findByIdAndUpdate(previous._id, updates, { new: true }).select('-password');
+    } catch (updateError) {
+      // Another account took the address between the check above and this update
+      if (updateError.code !== 11000) throw updateError;
+      return res.status(400).json({ message: 'This email address is already in use' });
+    }
+
+    if (newEmail) {
+      console.log('✉️ Email changed:', user.username);
+      await sendEmailChangedNotice(user, previous.email);
+    }
+
+    // Let the user's open tabs drop their verification banner
+    emitToUser(req.app.get('io'), user._id, 'email-verified', { emailVerified: true, email: user.email });
+
+    res.json({ message: 'Email verified', emailVerified: true, email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// POST /api/auth/resend-verification - Send a new verification link
+router.post('/resend-verification', auth, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const cooldown = await getResendCooldown(req.user._id);
+    if (cooldown > 0) {
+      return res.status(429).json({
+        message: `Please wait ${Math.ceil(cooldown / 1000)} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// POST /api/auth/refresh - Trade a refresh token for new tokens
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error while refreshing session' });
+  }
+});
+
+// GET /api/auth/sessions - List the devices the user is signed in on
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => serializeSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions - Sign out every other device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(req.app.get('io'), {
+      user: req.user._id,
+      _id: { $ne: req.sessionId }
+    });
+
+    res.json({ message: 'Signed out of other devices', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSessions(req.app.get('io'), {
+      _id: req.params.sessionId,
+      user: req.user._id
+    });
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked', sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// POST /api/auth/logout - Sign out the current device
+router.post('/logout', auth, logout);
+
 // GET /api/auth/me - Verify current user (NEW ENDPOINT)
 router.get('/me', auth, async (req, res) => {
   try {
@@ -151,13 +788,7 @@ router.get('/me', auth, async (req, res) => {
     console.log('✅ Token verified for user:', user.username);
 
     res.json({
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        createdAt: user.createdAt,
-        lastLogin: user.lastLogin
-      }
+      user: serializeUser(user)
     });
   } catch (error) {
     console.error('Auth verification error:', error);
@@ -165,4 +796,170 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// PUT /api/auth/me/password - Change the password and sign out other devices
+router.put('/me/password', auth, passwordChangeLimiter, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current one')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!await user.comparePassword(req.body.currentPassword)) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    // The model hashes the new password on save
+    user.password = req.body.newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Every other device has to sign in again; this one gets a token newer than the change
+    await PasswordResetToken.deleteMany({ user: user._id });
+    await revokeSessions(req.app.get('io'), {
+      user: user._id,
+      _id: { $ne: req.sessionId }
+    });
+
+    console.log('🔑 Password changed:', user.username);
+
+    res.json({
+      message: 'Password changed. Other devices have been signed out.',
+      token: signAccessToken(user._id, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error while changing password' });
+  }
+});
+
+// PUT /api/auth/me/email - Start moving the account to a new email address
+router.put('/me/email', auth, emailLimiter, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!await user.comparePassword(req.body.password)) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (email === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'This email address is already in use' });
+    }
+
+    const cooldown = await getResendCooldown(user._id);
+    if (cooldown > 0) {
+      return res.status(429).json({
+        message: `Please wait ${Math.ceil(cooldown / 1000)} seconds before requesting another email`
+      });
+    }
+
+    // The current address keeps working until the new one is confirmed
+    user.pendingEmail = email;
+    await user.save();
+    await sendEmailChangeVerification(user, email);
+
+    res.json({
+      message: `We sent a confirmation link to ${email}`,
+      pendingEmail: email
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error while changing email' });
+  }
+});
+
+// DELETE /api/auth/me/email - Cancel a pending email change
+router.delete('/me/email', auth, async (req, res) => {
+  try {
+    await EmailVerificationToken.deleteMany({ user: req.user._id, email: { $ne: null } });
+    await User.findByIdAndUpdate(req.user._id, { pendingEmail: null });
+
+    res.json({ message: 'Email change cancelled', pendingEmail: null });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({ message: 'Server error while cancelling email change' });
+  }
+});
+
+// PUT /api/auth/me/settings - Update privacy and email settings
+router.put('/me/settings', auth, [
+  body('shareReadReceipts')
+    .optional()
+    .isBoolean()
+    .withMessage('shareReadReceipts must be a boolean value')
+    .toBoolean(),
+  body('digestFrequency')
+    .optional()
+    .isIn(['off', 'daily', 'weekly'])
+    .withMessage('Digest frequency must be off, daily or weekly')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { shareReadReceipts, digestFrequency } = req.body;
+    const stopsSharing = shareReadReceipts === false && req.user.shareReadReceipts !== false;
+
+    const updates = {};
+    if (shareReadReceipts !== undefined) updates.shareReadReceipts = shareReadReceipts;
+    if (digestFrequency !== undefined && digestFrequency !== req.user.digestFrequency) {
+      updates.digestFrequency = digestFrequency;
+      // The first digest covers activity from now on, not what happened before opting in
+      updates.lastDigestSentAt = new Date();
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updates, { new: true }).select('-password');
+
+    // Withdraw receipts already shown in the user's topics
+    if (stopsSharing) {
+      const io = req.app.get('io');
+      const topicIds = await Topic.find({ members: user._id }).distinct('_id');
+      topicIds.forEach(topicId => emitReadReceipt(io, topicId, user, null));
+    }
+
+    res.json({
+      message: 'Settings updated',
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ message: 'Server error while updating settings' });
+  }
+});
+
 module.exports = router;
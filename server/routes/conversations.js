@@ -0,0 +1,33 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getConversations,
+  createConversation
+} = require('../controllers/conversationController');
+const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+
+const router = express.Router();
+
+// Validation middleware for starting a conversation
+const conversationValidation = [
+  body('usernames')
+    .isArray({ min: 1 })
+    .withMessage('Pick at least one person to message'),
+  body('usernames.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Usernames cannot be empty')
+];
+
+// All routes require authentication
+router.use(auth);
+
+// Get the current user's direct conversations
+router.get('/', getConversations);
+
+// Start (or reopen) a direct conversation
+router.post('/', requireVerifiedEmail, conversationValidation, createConversation);
+
+module.exports = router;
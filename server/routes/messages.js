@@ -2,12 +2,21 @@ const express = require('express');
 const { body } = require('express-validator');
 const {
   getMessages,
+  searchMessages,
+  getThread,
   sendMessage,
+  uploadAttachment,
   editMessage,
+  getMessageHistory,
   deleteMessage,
+  getPinnedMessages,
+  pinMessage,
+  unpinMessage,
   addReaction
 } = require('../controllers/messageController');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { uploadSingle, ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -26,11 +35,26 @@ const messageValidation = [
 // All routes require authentication
 router.use(auth);
 
+// Search messages across accessible topics
+router.get('/search', searchMessages);
+
 // Get messages for a topic
 router.get('/topic/:topicId', getMessages);
 
 // Send a message to a topic
-router.post('/topic/:topicId', messageValidation, sendMessage);
+router.post('/topic/:topicId', requireVerifiedEmail, messageValidation, sendMessage);
+
+// Get pinned messages for a topic
+router.get('/topic/:topicId/pinned', getPinnedMessages);
+
+// Upload a file or image to a topic
+router.post('/topic/:topicId/upload', requireVerifiedEmail, uploadSingle('file', {
+  allowedTypes: ATTACHMENT_TYPES,
+  maxSize: MAX_ATTACHMENT_SIZE
+}), uploadAttachment);
+
+// Get a message's thread
+router.get('/:messageId/thread', getThread);
 
 // Edit a message
 router.put('/:messageId', [
@@ -40,9 +64,16 @@ router.put('/:messageId', [
     .trim()
 ], editMessage);
 
+// Get a message's edit history
+router.get('/:messageId/history', getMessageHistory);
+
 // Delete a message
 router.delete('/:messageId', deleteMessage);
 
+// Pin/unpin a message
+router.post('/:messageId/pin', pinMessage);
+router.delete('/:messageId/pin', unpinMessage);
+
 // Add/remove reaction to message
 router.post('/:messageId/reaction', [
   body('emoji')
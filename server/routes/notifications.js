@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Get the current user's notifications
+router.get('/', getNotifications);
+
+// Mark every notification as read
+router.post('/read-all', markAllNotificationsRead);
+
+// Mark a notification as read
+router.post('/:notificationId/read', markNotificationRead);
+
+// Delete a notification
+router.delete('/:notificationId', deleteNotification);
+
+module.exports = router;
@@ -1,17 +1,62 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const {
   getTopics,
+  getTags,
+  markTopicRead,
+  markAllTopicsRead,
+  updateNotificationPreference,
   createTopic,
   joinTopic,
   leaveTopic,
   getTopicById,
-  deleteTopic
+  updateTopic,
+  getTopicHistory,
+  deleteTopic,
+  transferOwnership,
+  addAdmin,
+  removeAdmin,
+  removeMember
 } = require('../controllers/topicController');
+const {
+  createInvitation,
+  getTopicInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  getInviteLink,
+  acceptInviteLink,
+  createJoinRequest,
+  getJoinRequests,
+  approveJoinRequest,
+  denyJoinRequest
+} = require('../controllers/invitationController');
 const auth = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
 
 const router = express.Router();
 
+const MAX_TAGS = 5;
+
+// Validation middleware for topic tags
+const tagValidation = [
+  body('tags')
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`A topic can have at most ${MAX_TAGS} tags`),
+  body('tags.*.name')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Tag names must be between 1 and 20 characters')
+    .matches(/^[a-zA-Z0-9\s\-_]+$/)
+    .withMessage('Tag names can only contain letters, numbers, spaces, hyphens, and underscores'),
+  body('tags.*.color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Tag color must be a hex color like #10b981')
+];
+
 // Validation middleware for topic creation
 const createTopicValidation = [
   body('name')
@@ -26,7 +71,51 @@ const createTopicValidation = [
   body('isPrivate')
     .optional()
     .isBoolean()
-    .withMessage('isPrivate must be a boolean value')
+    .withMessage('isPrivate must be a boolean value'),
+  ...tagValidation
+];
+
+// Validation middleware for topic updates (every field optional)
+const updateTopicValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Topic name must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9\s\-_]+$/)
+    .withMessage('Topic name can only contain letters, numbers, spaces, hyphens, and underscores'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('isPrivate')
+    .optional()
+    .isBoolean()
+    .withMessage('isPrivate must be a boolean value'),
+  ...tagValidation
+];
+
+// Validation middleware for invitations
+const invitationValidation = [
+  body('type')
+    .optional()
+    .isIn(['direct', 'link'])
+    .withMessage('Invitation type must be direct or link'),
+  body('username')
+    .if(body('type').not().equals('link'))
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required for direct invitations'),
+  body('expiresInHours')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Invite links can expire after 1 to 720 hours')
+    .toInt(),
+  body('maxUses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+    .toInt()
 ];
 
 // All routes require authentication
@@ -36,17 +125,103 @@ router.use(auth);
 router.get('/', getTopics);
 
 // Create a new topic
-router.post('/', createTopicValidation, createTopic);
+router.post('/', requireVerifiedEmail, createTopicValidation, createTopic);
+
+// Tag usage counts across accessible topics
+router.get('/tags', getTags);
+
+// Mark every topic and conversation as read
+router.post('/read-all', markAllTopicsRead);
+
+// Pending invitations for the current user
+router.get('/invitations', getMyInvitations);
+
+// Accept or decline a direct invitation
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
+// Preview and use shareable invite links
+router.get('/invite-links/:code', getInviteLink);
+router.post('/invite-links/:code/accept', acceptInviteLink);
 
 // Get specific topic details
 router.get('/:topicId', getTopicById);
 
+// Update topic details (admins only)
+router.put('/:topicId', updateTopicValidation, updateTopic);
+
+// Topic edit history (admins only)
+router.get('/:topicId/history', getTopicHistory);
+
+// Update the user's read position
+router.post('/:topicId/read', [
+  body('messageId')
+    .optional()
+    .isMongoId()
+    .withMessage('A valid message id is required')
+], markTopicRead);
+
+// Per-topic notification level and mute
+router.put('/:topicId/notification-preference', [
+  body('level')
+    .optional()
+    .isIn(['all', 'mentions', 'none'])
+    .withMessage('Notification level must be all, mentions or none'),
+  body('mute')
+    .optional()
+    .isIn(['1h', '8h', 'indefinite', 'off'])
+    .withMessage('Mute must be 1h, 8h, indefinite or off')
+], updateNotificationPreference);
+
 // Join a topic
 router.post('/:topicId/join', joinTopic);
 
 // Leave a topic
 router.post('/:topicId/leave', leaveTopic);
 
+// Ownership and role management
+router.post('/:topicId/transfer', [
+  body('userId')
+    .isMongoId()
+    .withMessage('A valid user id is required')
+], transferOwnership);
+router.post('/:topicId/admins/:userId', addAdmin);
+router.delete('/:topicId/admins/:userId', removeAdmin);
+
+// Remove (kick) a member
+router.delete('/:topicId/members/:userId', removeMember);
+
+const topicIdParam = param('topicId')
+  .isMongoId()
+  .withMessage('A valid topic id is required');
+
+// Topic invitations (admins only)
+router.get('/:topicId/invitations', [topicIdParam], getTopicInvitations);
+router.post('/:topicId/invitations', invitationValidation, createInvitation);
+router.delete('/:topicId/invitations/:invitationId', [
+  topicIdParam,
+  param('invitationId')
+    .isMongoId()
+    .withMessage('A valid invitation id is required')
+], revokeInvitation);
+
+// Join requests for private topics
+const joinRequestParams = [
+  topicIdParam,
+  param('requestId')
+    .isMongoId()
+    .withMessage('A valid join request id is required')
+];
+router.post('/:topicId/join-requests', [
+  body('message')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Message cannot exceed 200 characters')
+], createJoinRequest);
+router.get('/:topicId/join-requests', [topicIdParam], getJoinRequests);
+router.post('/:topicId/join-requests/:requestId/approve', joinRequestParams, approveJoinRequest);
+router.post('/:topicId/join-requests/:requestId/deny', joinRequestParams, denyJoinRequest);
+
 // Delete a topic (creator only)
 router.delete('/:topicId', deleteTopic);
 
@@ -0,0 +1,68 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMyProfile,
+  updateMyProfile,
+  uploadAvatar,
+  removeAvatar,
+  getUserProfile
+} = require('../controllers/userController');
+const auth = require('../middleware/auth');
+const { uploadSingle, IMAGE_TYPES } = require('../middleware/upload');
+
+const router = express.Router();
+
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Validation middleware for profile updates
+const profileValidation = [
+  body('displayName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Display name cannot exceed 50 characters'),
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Bio cannot exceed 300 characters'),
+  body('timezone')
+    .optional()
+    .isString()
+    .custom(value => value === '' || isTimeZone(value))
+    .withMessage('Unknown time zone')
+];
+
+// All routes require authentication
+router.use(auth);
+
+// Get the current user's profile
+router.get('/me', getMyProfile);
+
+// Update the current user's profile
+router.put('/me', profileValidation, updateMyProfile);
+
+// Upload a new avatar
+router.post('/me/avatar', uploadSingle('avatar', {
+  allowedTypes: IMAGE_TYPES,
+  maxSize: MAX_AVATAR_SIZE
+}), uploadAvatar);
+
+// Remove the avatar
+router.delete('/me/avatar', removeAvatar);
+
+// Get a user's public profile
+router.get('/:userId', getUserProfile);
+
+module.exports = router;
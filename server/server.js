@@ -8,6 +8,26 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
+const {
+  userRoom,
+  sessionRoom,
+  emitConversationActivity,
+  emitUnreadActivity,
+  emitThreadReply
+} = require('./utils/realtime');
+const {
+  canStillEdit,
+  findReplyParent,
+  toggleReaction,
+  updateMessageContent,
+  removeMessage
+} = require('./utils/messageActions');
+const { resolveMentions, emitMentions } = require('./utils/mentions');
+const { markRead } = require('./utils/readState');
+const { notifyReply } = require('./utils/notifications');
+const { startDigestScheduler } = require('./utils/digests');
+const { getTransportName } = require('./utils/mailer');
+const { VERIFICATION_MESSAGE, canSocketPost } = require('./middleware/verifiedEmail');
 
 const app = express();
 const server = http.createServer(app);
@@ -27,6 +47,9 @@ const io = socketIo(server, {
   pingInterval: 60000   // 1 minute (increased from default 25s)
 });
 
+// Make Socket.io available to controllers via req.app.get('io')
+app.set('io', io);
+
 // Enhanced connection debugging
 io.engine.on("connection_error", (err) => {
   console.log('🚫 Engine connection error:', {
@@ -84,6 +107,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/topicchat
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log('📊 Database:', mongoose.connection.name);
+
+  // No sockets survive a restart, so nobody is online yet
+  User.updateMany({ isOnline: true }, { isOnline: false })
+    .catch(error => console.error('Presence reset error:', error));
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
@@ -94,11 +121,23 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/topicchat
 const User = require('./models/User');
 const Message = require('./models/Message');
 const Topic = require('./models/Topic');
+const Session = require('./models/Session');
+const RevokedToken = require('./models/RevokedToken');
+const { markOnline, markOffline } = require('./utils/presence');
+
+// Locally stored uploads (used when Cloudinary is not configured)
+const localUploads = require('./utils/storage/localStorage');
+app.use('/uploads', express.static(localUploads.UPLOAD_DIR, {
+  setHeaders: localUploads.setServeHeaders
+}));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/topics', require('./routes/topics'));
 app.use('/api/messages', require('./routes/messages'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/users', require('./routes/users'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -135,7 +174,23 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      console.log('⚠️ Socket connection rejected: Token issued before password change');
+      return next(new Error('Token revoked'));
+    }
+
+    if (!decoded.sid || !await Session.exists({ _id: decoded.sid, user: user._id })) {
+      console.log('⚠️ Socket connection rejected: Session revoked');
+      return next(new Error('Token revoked'));
+    }
+
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+      console.log('⚠️ Socket connection rejected: Token revoked');
+      return next(new Error('Token revoked'));
+    }
+
     socket.user = user;
+    socket.sessionId = decoded.sid;
     console.log(`✅ Socket authenticated successfully: ${user.username} (${socket.id})`);
     next();
   } catch (error) {
@@ -143,7 +198,8 @@ const authenticateSocket = async (socket, next) => {
       message: error.message,
       socketId: socket.id
     });
-    next(new Error('Invalid token'));
+    // The client refreshes its access token and reconnects when it sees this
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
   }
 };
 
@@ -155,6 +211,13 @@ io.on('connection', (socket) => {
   console.log(`✅ User connected: ${socket.user.username} (${socket.id})`);
   console.log(`📊 Total connections: ${io.engine.clientsCount}`);
 
+  // Personal room for invitations and other user-targeted events
+  socket.join(userRoom(socket.user._id.toString()));
+  // Session room so a revoked device can be disconnected on its own
+  socket.join(sessionRoom(socket.sessionId));
+
+  markOnline(io, socket.user).catch(error => console.error('Presence error:', error));
+
   // Join topic room
   socket.on('join-topic', async (topicId) => {
     try {
@@ -222,6 +285,11 @@ io.on('connection', (socket) => {
         return;
       }
 
+      if (!await canSocketPost(socket)) {
+        socket.emit('message-error', { message: VERIFICATION_MESSAGE });
+        return;
+      }
+
       // Verify topic access
       const topic = await Topic.findById(topicId);
       if (!topic) {
@@ -235,16 +303,22 @@ io.on('connection', (socket) => {
         return;
       }
 
+      if (replyTo && !await findReplyParent(replyTo, topic._id)) {
+        socket.emit('message-error', { message: 'The message you are replying to was not found' });
+        return;
+      }
+
       // Create and save message
       const message = new Message({
         content: content.trim(),
         sender: socket.user._id,
         topic: topicId,
-        replyTo: replyTo || null
+        replyTo: replyTo || null,
+        mentions: await resolveMentions(io, content, topic, socket.user)
       });
 
       await message.save();
-      await message.populate('sender', 'username avatar');
+      await message.populate('sender', 'username displayName avatar');
       
       if (replyTo) {
         await message.populate('replyTo', 'content sender');
@@ -256,6 +330,17 @@ io.on('connection', (socket) => {
 
       // CRITICAL FIX: Use io.in() to include sender in message broadcast
       io.in(topicId).emit('new-message', message);
+      emitConversationActivity(io, topic, message);
+      emitUnreadActivity(io, topic, message);
+      emitMentions(io, message, topic);
+
+      // Keep the parent's thread in sync with quoted replies
+      if (replyTo) {
+        await emitThreadReply(io, replyTo, message);
+        if (message.replyTo) {
+          notifyReply(io, message, message.replyTo);
+        }
+      }
       
       console.log(`✅ Message sent successfully by ${socket.user.username} in topic ${topicId} to ${io.sockets.adapter.rooms.get(topicId)?.size || 0} clients`);
     } catch (error) {
@@ -264,6 +349,175 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Handle replies posted inside a thread (kept out of the main timeline)
+  socket.on('send-thread-reply', async (data) => {
+    try {
+      const { content, parentId } = data;
+      console.log(`🧵 Thread reply from ${socket.user.username} to message ${parentId}`);
+
+      if (!content || !content.trim()) {
+        socket.emit('message-error', { message: 'Message content cannot be empty' });
+        return;
+      }
+
+      if (content.length > 1000) {
+        socket.emit('message-error', { message: 'Message too long (max 1000 characters)' });
+        return;
+      }
+
+      if (!await canSocketPost(socket)) {
+        socket.emit('message-error', { message: VERIFICATION_MESSAGE });
+        return;
+      }
+
+      // Only top-level messages start threads; nested ones would never be shown
+      const parent = mongoose.isValidObjectId(parentId) && await Message.findById(parentId);
+      if (!parent || parent.inThread) {
+        socket.emit('message-error', { message: 'Thread not found' });
+        return;
+      }
+
+      // Verify topic access
+      const topic = await Topic.findById(parent.topic);
+      if (!topic) {
+        socket.emit('message-error', { message: 'Topic not found' });
+        return;
+      }
+
+      const hasAccess = !topic.isPrivate || topic.members.includes(socket.user._id);
+      if (!hasAccess) {
+        socket.emit('message-error', { message: 'Access denied to this topic' });
+        return;
+      }
+
+      const reply = new Message({
+        content: content.trim(),
+        sender: socket.user._id,
+        topic: parent.topic,
+        replyTo: parent._id,
+        inThread: true,
+        mentions: await resolveMentions(io, content, topic, socket.user)
+      });
+
+      await reply.save();
+      await reply.populate('sender', 'username displayName avatar');
+
+      // Update topic's last activity
+      topic.updatedAt = new Date();
+      await topic.save();
+
+      await emitThreadReply(io, parent._id, reply);
+      emitMentions(io, reply, topic);
+      notifyReply(io, reply, parent);
+
+      console.log(`✅ Thread reply sent by ${socket.user.username} in topic ${topic._id}`);
+    } catch (error) {
+      console.error('Socket thread reply error:', error);
+      socket.emit('message-error', { message: 'Failed to send thread reply' });
+    }
+  });
+
+  // Handle message edits (author only, within the edit window)
+  socket.on('edit-message', async (data) => {
+    try {
+      const { messageId, content } = data;
+      console.log(`✏️ ${socket.user.username} editing message ${messageId}`);
+
+      if (!content || !content.trim()) {
+        socket.emit('message-error', { message: 'Message content cannot be empty' });
+        return;
+      }
+
+      if (content.length > 1000) {
+        socket.emit('message-error', { message: 'Message too long (max 1000 characters)' });
+        return;
+      }
+
+      const message = await Message.findById(messageId);
+      if (!message) {
+        socket.emit('message-error', { message: 'Message not found' });
+        return;
+      }
+
+      if (message.sender.toString() !== socket.user._id.toString()) {
+        socket.emit('message-error', { message: 'Can only edit your own messages' });
+        return;
+      }
+
+      if (!canStillEdit(message)) {
+        socket.emit('message-error', { message: 'Message is too old to edit' });
+        return;
+      }
+
+      // Authors removed from a private topic can no longer change what they wrote there
+      const topic = await Topic.findById(message.topic);
+      const hasAccess = topic && (!topic.isPrivate || topic.members.includes(socket.user._id));
+      if (!hasAccess) {
+        socket.emit('message-error', { message: 'Access denied to this topic' });
+        return;
+      }
+
+      await updateMessageContent(io, message, topic, content.trim(), socket.user);
+    } catch (error) {
+      console.error('Socket edit message error:', error);
+      socket.emit('message-error', { message: 'Failed to edit message' });
+    }
+  });
+
+  // Handle message deletion (author or topic admin)
+  socket.on('delete-message', async (data) => {
+    try {
+      const { messageId } = data;
+      console.log(`🗑️ ${socket.user.username} deleting message ${messageId}`);
+
+      const message = await Message.findById(messageId);
+      if (!message) {
+        socket.emit('message-error', { message: 'Message not found' });
+        return;
+      }
+
+      const topic = await Topic.findById(message.topic);
+      if (!topic) {
+        socket.emit('message-error', { message: 'Topic not found' });
+        return;
+      }
+
+      const isOwner = message.sender.toString() === socket.user._id.toString();
+      if (!isOwner && !topic.isAdmin(socket.user._id)) {
+        socket.emit('message-error', { message: 'Not authorized to delete this message' });
+        return;
+      }
+
+      await removeMessage(io, message, topic, socket.user);
+    } catch (error) {
+      console.error('Socket delete message error:', error);
+      socket.emit('message-error', { message: 'Failed to delete message' });
+    }
+  });
+
+  // Messages scrolled into view move the reader's watermark and read receipt
+  socket.on('mark-read', async (data) => {
+    try {
+      const { topicId, messageId } = data;
+
+      const topic = await Topic.findById(topicId);
+      if (!topic || !topic.isMember(socket.user._id)) {
+        return;
+      }
+
+      const message = await Message.findOne({ _id: messageId, topic: topic._id }).select('_id createdAt');
+      if (!message) {
+        return;
+      }
+
+      // Re-read the privacy setting, it may have changed since the socket connected
+      const reader = await User.findById(socket.user._id).select('username avatar shareReadReceipts');
+      await markRead(io, topic._id, reader, message);
+    } catch (error) {
+      console.error('Socket mark read error:', error);
+    }
+  });
+
   // Handle typing indicators (exclude sender from broadcast)
   socket.on('typing-start', (data) => {
     console.log(`⌨️ ${socket.user.username} started typing in topic ${data.topicId}`);
@@ -303,32 +557,15 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Check if user already reacted with this emoji
-      const existingReaction = message.reactions.find(
-        r => r.user.toString() === socket.user._id.toString() && r.emoji === emoji
-      );
-
-      if (existingReaction) {
-        // Remove reaction
-        message.reactions = message.reactions.filter(
-          r => !(r.user.toString() === socket.user._id.toString() && r.emoji === emoji)
-        );
-      } else {
-        // Add reaction
-        message.reactions.push({
-          user: socket.user._id,
-          emoji
-        });
+      // Verify topic access
+      const topic = await Topic.findById(message.topic);
+      const hasAccess = topic && (!topic.isPrivate || topic.members.includes(socket.user._id));
+      if (!hasAccess) {
+        socket.emit('error', { message: 'Access denied to this topic' });
+        return;
       }
 
-      await message.save();
-      await message.populate('reactions.user', 'username');
-
-      // Emit to all users in the topic (including sender)
-      io.in(message.topic.toString()).emit('message-reaction-updated', {
-        messageId,
-        reactions: message.reactions
-      });
+      await toggleReaction(io, message, socket.user, emoji);
     } catch (error) {
       console.error('Socket reaction error:', error);
       socket.emit('error', { message: 'Failed to update reaction' });
@@ -352,6 +589,9 @@ io.on('connection', (socket) => {
         }
       });
     }
+
+    // Going offline only once the user's last tab or device disconnects
+    markOffline(io, socket.user).catch(error => console.error('Presence error:', error));
   });
 
   // Handle connection errors
@@ -413,9 +653,15 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔑 JWT Secret: ${process.env.JWT_SECRET ? 'Configured ✅' : '❌ MISSING!'}`);
   console.log(`🗄️ MongoDB: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/topicchat'}`);
+  console.log(`📧 Mail transport: ${getTransportName()}`);
   console.log(`⏰ Socket ping timeout: 120000ms, interval: 60000ms`);
   console.log(`🔧 CORS Origins: localhost:5173, 127.0.0.1:5173`);
   console.log('='.repeat(60));
+
+  // Email digests of missed activity; set DIGESTS_ENABLED=false to turn the job off
+  if (process.env.DIGESTS_ENABLED !== 'false') {
+    startDigestScheduler();
+  }
 });
 
 module.exports = { app, server, io };
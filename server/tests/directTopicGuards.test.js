@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, callController } = require('./helpers');
+const Topic = require('../models/Topic');
+const {
+  leaveTopic,
+  transferOwnership,
+  addAdmin,
+  removeAdmin,
+  removeMember,
+  deleteTopic
+} = require('../controllers/topicController');
+
+const creator = new mongoose.Types.ObjectId();
+const other = new mongoose.Types.ObjectId();
+
+const directTopic = () => new Topic({
+  name: 'dm',
+  type: 'direct',
+  isPrivate: true,
+  creator,
+  members: [creator, other],
+  admins: [creator]
+});
+
+const cases = [
+  ['leaveTopic', leaveTopic, {}],
+  ['transferOwnership', transferOwnership, { body: { userId: other.toString() } }],
+  ['addAdmin', addAdmin, { params: { userId: other.toString() } }],
+  ['removeAdmin', removeAdmin, { params: { userId: other.toString() } }],
+  ['removeMember', removeMember, { params: { userId: other.toString() } }],
+  ['deleteTopic', deleteTopic, {}]
+];
+
+for (const [name, controller, req] of cases) {
+  test(`${name} is refused for a direct conversation`, async (t) => {
+    const topic = directTopic();
+    t.mock.method(Topic, 'findById', () => query(topic));
+    const save = t.mock.method(topic, 'save', async () => topic);
+
+    const res = await callController(controller, {
+      ...req,
+      params: { topicId: topic._id.toString(), ...req.params },
+      user: { _id: creator }
+    });
+
+    assert.strictEqual(res.statusCode, 400);
+    assert.strictEqual(save.mock.callCount(), 0);
+    assert.deepStrictEqual(topic.members.map(String), [creator, other].map(String));
+    assert.deepStrictEqual(topic.admins.map(String), [creator.toString()]);
+  });
+}
@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, startServer } = require('./helpers');
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+
+let server;
+
+before(async () => {
+  server = await startServer('/api/auth', require('../routes/auth'));
+});
+
+after(() => server.close());
+
+test('confirming an address another account took in the meantime is a client error', async (t) => {
+  const userId = new mongoose.Types.ObjectId();
+  t.mock.method(EmailVerificationToken, 'findOneAndDelete', async () => ({ user: userId, email: 'new@example.com' }));
+  t.mock.method(User, 'exists', async () => null);
+  t.mock.method(User, 'findById', () => query({ _id: userId, email: 'old@example.com', pendingEmail: 'new@example.com' }));
+  // The other account registered after the existence check; the unique index rejects the update
+  t.mock.method(User, 'findByIdAndUpdate', () => {
+    const rejected = Promise.reject(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+    rejected.select = () => rejected;
+    return rejected;
+  });
+
+  const { status, body } = await server.request('GET', '/verify-email/some-token');
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.message, 'This email address is already in use');
+});
@@ -0,0 +1,98 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Tests never connect to MongoDB; a query nobody stubbed fails at once instead of waiting
+mongoose.set('bufferCommands', false);
+
+// A resolved query that still accepts the calls controllers chain onto it
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  ['select', 'populate', 'sort', 'lean', 'collation', 'limit', 'skip'].forEach(method => {
+    promise[method] = () => promise;
+  });
+  return promise;
+};
+
+// Socket.io stand-in that records what would have been broadcast, and to which room
+const fakeIo = () => {
+  const emitted = [];
+  const roomFor = (name) => ({
+    emit: (event, payload) => emitted.push({ room: name, event, payload }),
+    disconnectSockets: () => {}
+  });
+  return { emitted, to: roomFor, in: roomFor };
+};
+
+// Run a controller with a plain request and capture the response it sends
+const callController = async (handler, req) => {
+  const io = fakeIo();
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await handler({ params: {}, body: {}, query: {}, app: { get: () => io }, ...req }, res);
+  return res;
+};
+
+// Mount a router on a throwaway app and send JSON requests to it
+const startServer = async (basePath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.set('io', fakeIo());
+  app.use(basePath, router);
+
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const { port } = server.address();
+
+  return {
+    request: async (method, path, { body, token } = {}) => {
+      const response = await fetch(`http://127.0.0.1:${port}${basePath}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body && JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+// An access token the auth middleware accepts for this user during the test
+const signIn = (t, user) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(Session, 'exists', async () => ({ _id: sessionId }));
+  t.mock.method(RevokedToken, 'exists', async () => null);
+  return jwt.sign({ id: user._id, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
+module.exports = {
+  query,
+  fakeIo,
+  callController,
+  startServer,
+  signIn
+};
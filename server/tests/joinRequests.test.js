@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, startServer, signIn } = require('./helpers');
+const User = require('../models/User');
+const Topic = require('../models/Topic');
+const JoinRequest = require('../models/JoinRequest');
+
+let server;
+
+before(async () => {
+  server = await startServer('/api/topics', require('../routes/topics'));
+});
+
+after(() => server.close());
+
+const member = () => new User({ username: 'bob', email: 'bob@example.com', password: 'hashed' });
+
+const privateTopic = (overrides = {}) => {
+  const creator = new mongoose.Types.ObjectId();
+  return new Topic({ name: 'Private', isPrivate: true, creator, members: [creator], admins: [creator], ...overrides });
+};
+
+test('approving or denying needs a valid join request id', async (t) => {
+  const token = signIn(t, member());
+  const findById = t.mock.method(JoinRequest, 'findById', () => query(null));
+  const topicId = new mongoose.Types.ObjectId();
+
+  for (const action of ['approve', 'deny']) {
+    const { status, body } = await server.request('POST', `/${topicId}/join-requests/not-an-id/${action}`, { token });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errors[0].msg, 'A valid join request id is required');
+  }
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
+
+test('invitation and join request lists need a valid topic id', async (t) => {
+  const token = signIn(t, member());
+  const findTopic = t.mock.method(Topic, 'findById', () => query(null));
+  const topicId = new mongoose.Types.ObjectId();
+
+  const requests = [
+    ['GET', '/not-an-id/invitations', 'A valid topic id is required'],
+    ['GET', '/not-an-id/join-requests', 'A valid topic id is required'],
+    ['DELETE', '/not-an-id/invitations/not-an-id', 'A valid topic id is required'],
+    ['DELETE', `/${topicId}/invitations/not-an-id`, 'A valid invitation id is required']
+  ];
+  for (const [method, path, error] of requests) {
+    const { status, body } = await server.request(method, path, { token });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errors[0].msg, error);
+  }
+  assert.strictEqual(findTopic.mock.callCount(), 0);
+});
+
+test('a join request message over 200 characters is rejected', async (t) => {
+  const token = signIn(t, member());
+  const findTopic = t.mock.method(Topic, 'findById', () => query(privateTopic()));
+
+  const { status } = await server.request('POST', `/${new mongoose.Types.ObjectId()}/join-requests`, {
+    token,
+    body: { message: 'x'.repeat(201) }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(findTopic.mock.callCount(), 0);
+});
+
+test('direct conversations cannot be requested', async (t) => {
+  const token = signIn(t, member());
+  const topic = privateTopic({ type: 'direct' });
+  t.mock.method(Topic, 'findById', () => query(topic));
+  const save = t.mock.method(JoinRequest.prototype, 'save', async function() { return this; });
+
+  const { status, body } = await server.request('POST', `/${topic._id}/join-requests`, { token, body: {} });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.message, 'Direct conversations cannot be joined');
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('a duplicate pending request is a client error, not a server error', async (t) => {
+  const token = signIn(t, member());
+  const topic = privateTopic();
+  t.mock.method(Topic, 'findById', () => query(topic));
+  // Two requests racing past the pending check; the unique index rejects the second
+  t.mock.method(JoinRequest, 'findOne', () => query(null));
+  t.mock.method(JoinRequest.prototype, 'save', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const { status, body } = await server.request('POST', `/${topic._id}/join-requests`, { token, body: {} });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.message, 'You already have a pending request for this topic');
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, fakeIo, callController } = require('./helpers');
+const User = require('../models/User');
+const Topic = require('../models/Topic');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { userRoom } = require('../utils/realtime');
+const { updateMessageContent } = require('../utils/messageActions');
+const { editMessage } = require('../controllers/messageController');
+
+const author = { _id: new mongoose.Types.ObjectId(), username: 'alice' };
+const owner = new mongoose.Types.ObjectId();
+
+test('an author removed from a private topic cannot edit their messages there', async (t) => {
+  const topic = new Topic({ name: 'Private', isPrivate: true, creator: owner, members: [owner] });
+  const message = new Message({ content: 'before', sender: author._id, topic: topic._id, createdAt: new Date() });
+  t.mock.method(Message, 'findById', () => query(message));
+  t.mock.method(Topic, 'findById', () => query(topic));
+  const update = t.mock.method(Message, 'findByIdAndUpdate', () => query(message));
+
+  const res = await callController(editMessage, {
+    params: { messageId: message._id.toString() },
+    body: { content: 'after' },
+    user: author
+  });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(update.mock.callCount(), 0);
+});
+
+test('an edit notifies only the people it newly mentions', async (t) => {
+  const bob = new User({ username: 'bob', email: 'bob@example.com', password: 'hashed' });
+  const carol = new User({ username: 'carol', email: 'carol@example.com', password: 'hashed' });
+  const topic = new Topic({ name: 'General', creator: owner, members: [owner, author._id, bob._id, carol._id] });
+  const message = new Message({
+    content: 'hi @bob',
+    sender: author._id,
+    topic: topic._id,
+    mentions: [bob._id],
+    createdAt: new Date()
+  });
+  const io = fakeIo();
+  t.mock.method(User, 'find', () => query([bob, carol]));
+  const update = t.mock.method(Message, 'findByIdAndUpdate', (id, changes) => {
+    return query(new Message({ ...message.toObject(), ...changes.$set }));
+  });
+  t.mock.method(NotificationPreference, 'find', async () => []);
+  const create = t.mock.method(Notification, 'create', async (fields) => new Notification(fields));
+  t.mock.method(Notification, 'findById', () => query(null));
+  t.mock.method(Notification, 'countDocuments', async () => 1);
+
+  await updateMessageContent(io, message, topic, 'hi @bob and @carol', author);
+  await new Promise(resolve => setImmediate(resolve));
+
+  const { $set } = update.mock.calls[0].arguments[1];
+  assert.deepStrictEqual($set.mentions.sort(), [bob._id.toString(), carol._id.toString()].sort());
+  const mentioned = io.emitted.filter(({ event }) => event === 'mentioned').map(({ room }) => room);
+  assert.deepStrictEqual(mentioned, [userRoom(carol._id.toString())]);
+  assert.deepStrictEqual(create.mock.calls.map(call => call.arguments[0].recipient), [carol._id.toString()]);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, callController } = require('./helpers');
+const Topic = require('../models/Topic');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const { addReaction } = require('../controllers/messageController');
+
+const author = new mongoose.Types.ObjectId();
+const reactor = new mongoose.Types.ObjectId();
+
+const setup = (t, { members }) => {
+  const topic = new Topic({ name: 'Private', isPrivate: true, creator: author, members });
+  const message = new Message({ content: 'hello', sender: author, topic: topic._id });
+  t.mock.method(Message, 'findById', () => query(message));
+  t.mock.method(Topic, 'findById', () => query(topic));
+  const save = t.mock.method(message, 'save', async () => message);
+  t.mock.method(message, 'populate', async () => message);
+  return { message, save };
+};
+
+const react = (message) => callController(addReaction, {
+  params: { messageId: message._id.toString() },
+  body: { emoji: '👍' },
+  user: { _id: reactor }
+});
+
+test('people outside a private topic cannot react to its messages', async (t) => {
+  const { message, save } = setup(t, { members: [author] });
+
+  const res = await react(message);
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(save.mock.callCount(), 0);
+  assert.strictEqual(message.reactions.length, 0);
+});
+
+test('reacting again after taking a reaction back does not notify the author twice', async (t) => {
+  const { message, save } = setup(t, { members: [author, reactor] });
+  const exists = t.mock.method(Notification, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  const create = t.mock.method(Notification, 'create', async () => ({}));
+
+  const res = await react(message);
+  // The notification check runs without being awaited by the reaction itself
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.reactions.length, 1);
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.deepStrictEqual(exists.mock.calls[0].arguments[0], {
+    recipient: author.toString(),
+    actor: reactor.toString(),
+    message: message._id.toString(),
+    type: 'reaction'
+  });
+  assert.strictEqual(create.mock.callCount(), 0);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, fakeIo } = require('./helpers');
+const Topic = require('../models/Topic');
+const User = require('../models/User');
+const ReadState = require('../models/ReadState');
+const { startReadStates, getReadReceipts, markRead } = require('../utils/readState');
+
+const viewer = new mongoose.Types.ObjectId();
+const joiner = { _id: new mongoose.Types.ObjectId(), username: 'bob' };
+
+// Keeps the read states the helpers write, and answers receipt lookups from them
+const stubReadStates = (t) => {
+  const stored = [];
+  t.mock.method(ReadState, 'bulkWrite', async (operations) => {
+    operations.forEach(({ updateOne: { filter, update } }) => {
+      stored.push(new ReadState({ ...filter, ...update.$setOnInsert }));
+    });
+  });
+  t.mock.method(ReadState, 'findOneAndUpdate', async (filter, update) => {
+    const state = stored.find(existing => existing.user.equals(filter.user));
+    Object.assign(state, update.$max);
+    return state;
+  });
+  t.mock.method(ReadState, 'find', (filter) => query(
+    stored.filter(state => filter.seenAt === undefined || state.seenAt != null)
+  ));
+  t.mock.method(User, 'find', () => query([{ _id: joiner._id }]));
+};
+
+test('joining a topic does not count as having read it', async (t) => {
+  stubReadStates(t);
+  const topic = new Topic({ name: 'General', creator: viewer, members: [viewer, joiner._id] });
+
+  await startReadStates(topic._id, [joiner._id]);
+
+  assert.deepStrictEqual(await getReadReceipts(topic, viewer), []);
+});
+
+test('reading a topic after joining shows up as a receipt', async (t) => {
+  stubReadStates(t);
+  const topic = new Topic({ name: 'General', creator: viewer, members: [viewer, joiner._id] });
+  const io = fakeIo();
+
+  await startReadStates(topic._id, [joiner._id]);
+  await markRead(io, topic._id, joiner);
+
+  const receipts = await getReadReceipts(topic, viewer);
+  assert.strictEqual(receipts.length, 1);
+  assert.ok(receipts[0].lastReadAt instanceof Date);
+  assert.ok(io.emitted.some(({ event, payload }) => event === 'read-receipt-updated' && payload.lastReadAt));
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+require('./helpers');
+const Session = require('../models/Session');
+const { hashToken } = require('../utils/tokens');
+const { rotateSession } = require('../utils/sessions');
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+
+test('rotating a refresh token replaces it and remembers the old hash', async (t) => {
+  const session = new Session({
+    user: new mongoose.Types.ObjectId(),
+    refreshTokenHash: 'next',
+    expiresAt: new Date(Date.now() + 60000)
+  });
+  const findOneAndUpdate = t.mock.method(Session, 'findOneAndUpdate', async () => session);
+
+  const result = await rotateSession('old-token', req);
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.strictEqual(filter.refreshTokenHash, hashToken('old-token'));
+  assert.strictEqual(update.previousRefreshTokenHash, hashToken('old-token'));
+  assert.strictEqual(update.refreshTokenHash, hashToken(result.refreshToken));
+  assert.notStrictEqual(result.refreshToken, 'old-token');
+
+  const decoded = jwt.verify(result.token, process.env.JWT_SECRET);
+  assert.strictEqual(decoded.sid, session._id.toString());
+  assert.strictEqual(decoded.id, session.user.toString());
+});
+
+test('a token reused right after rotation is refused without ending the session', async (t) => {
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  t.mock.method(Session, 'findOne', async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    rotatedAt: new Date(Date.now() - 5000)
+  }));
+  const deleteOne = t.mock.method(Session, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+  const result = await rotateSession('old-token', req);
+
+  assert.deepStrictEqual(result, { error: 'Refresh token was already used', status: 409 });
+  assert.strictEqual(deleteOne.mock.callCount(), 0);
+});
+
+test('a token reused after the grace period revokes the session', async (t) => {
+  const rotated = { _id: new mongoose.Types.ObjectId(), rotatedAt: new Date(Date.now() - 5 * 60000) };
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  const findOne = t.mock.method(Session, 'findOne', async () => rotated);
+  const deleteOne = t.mock.method(Session, 'deleteOne', async () => ({ deletedCount: 1 }));
+  t.mock.method(console, 'log', () => {});
+
+  const result = await rotateSession('stolen-token', req);
+
+  assert.deepStrictEqual(findOne.mock.calls[0].arguments[0], { previousRefreshTokenHash: hashToken('stolen-token') });
+  assert.deepStrictEqual(deleteOne.mock.calls[0].arguments[0], { _id: rotated._id });
+  assert.deepStrictEqual(result, { error: 'Invalid refresh token', status: 401 });
+});
+
+test('an unknown refresh token is rejected', async (t) => {
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  t.mock.method(Session, 'findOne', async () => null);
+  const deleteOne = t.mock.method(Session, 'deleteOne', async () => ({ deletedCount: 0 }));
+
+  const result = await rotateSession('unknown-token', req);
+
+  assert.deepStrictEqual(result, { error: 'Invalid refresh token', status: 401 });
+  assert.strictEqual(deleteOne.mock.callCount(), 0);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, fakeIo, callController } = require('./helpers');
+const Topic = require('../models/Topic');
+const Message = require('../models/Message');
+const localStorage = require('../utils/storage/localStorage');
+const { findReplyParent, removeMessage } = require('../utils/messageActions');
+const { sendMessage } = require('../controllers/messageController');
+
+const sender = new mongoose.Types.ObjectId();
+
+const topicWith = (fields = {}) => new Topic({ name: 'General', creator: sender, members: [sender], ...fields });
+
+test('a reply parent must exist in the same topic', async (t) => {
+  const topic = topicWith();
+  const otherTopic = topicWith();
+  const parent = new Message({ content: 'secret', sender, topic: otherTopic._id });
+  t.mock.method(Message, 'findById', () => query(parent));
+
+  assert.strictEqual(await findReplyParent('not-an-id', topic._id), null);
+  assert.strictEqual(await findReplyParent(parent._id.toString(), topic._id), null);
+  assert.strictEqual(await findReplyParent(parent._id.toString(), otherTopic._id), parent);
+});
+
+test('a reply inside a thread cannot start another thread', async (t) => {
+  const topic = topicWith();
+  const threadReply = new Message({
+    content: 'in the thread',
+    sender,
+    topic: topic._id,
+    replyTo: new mongoose.Types.ObjectId(),
+    inThread: true
+  });
+  t.mock.method(Message, 'findById', () => query(threadReply));
+
+  assert.strictEqual(await findReplyParent(threadReply._id.toString(), topic._id), null);
+});
+
+test('replying to a message from another topic is refused', async (t) => {
+  const topic = topicWith({ isPrivate: true });
+  const parent = new Message({ content: 'secret', sender, topic: new mongoose.Types.ObjectId() });
+  t.mock.method(Topic, 'findById', () => query(topic));
+  t.mock.method(Message, 'findById', () => query(parent));
+  const save = t.mock.method(Message.prototype, 'save', async function() { return this; });
+
+  const res = await callController(sendMessage, {
+    params: { topicId: topic._id.toString() },
+    body: { content: 'quoting', replyTo: parent._id.toString(), inThread: true },
+    user: { _id: sender, username: 'alice' }
+  });
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('deleting a thread parent deletes its replies, their files and their pins', async (t) => {
+  const replies = [
+    new Message({ content: 'first', sender, topic: new mongoose.Types.ObjectId() }),
+    new Message({
+      messageType: 'image',
+      sender,
+      topic: new mongoose.Types.ObjectId(),
+      attachment: { storage: 'local', key: 'reply.png', thumbnailKey: 'reply-thumb.png' }
+    })
+  ];
+  const replyIds = replies.map(reply => reply._id);
+  const topic = topicWith({ pinnedMessages: [replyIds[1]] });
+  const message = new Message({
+    messageType: 'file',
+    sender,
+    topic: topic._id,
+    attachment: { storage: 'local', key: 'parent.pdf' }
+  });
+  const io = fakeIo();
+  t.mock.method(Message, 'findByIdAndDelete', async () => message);
+  const find = t.mock.method(Message, 'find', () => query(replies));
+  const removeFile = t.mock.method(localStorage, 'remove', async () => {});
+  const deleteMany = t.mock.method(Message, 'deleteMany', async () => ({ deletedCount: 2 }));
+  const updateTopic = t.mock.method(Topic, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await removeMessage(io, message, topic, { _id: sender, username: 'alice' });
+
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { replyTo: message._id, inThread: true });
+  assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0], { _id: { $in: replyIds } });
+  assert.deepStrictEqual(updateTopic.mock.calls[0].arguments[1], { $pull: { pinnedMessages: { $in: [replyIds[1]] } } });
+
+  assert.deepStrictEqual(removeFile.mock.calls.map(call => call.arguments[0]), ['parent.pdf', 'reply.png', 'reply-thumb.png']);
+
+  const unpinned = io.emitted.filter(({ event }) => event === 'message-unpinned');
+  assert.deepStrictEqual(unpinned.map(({ payload }) => payload.messageId), [replyIds[1].toString()]);
+});
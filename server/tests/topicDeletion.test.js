@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { query, callController } = require('./helpers');
+const Topic = require('../models/Topic');
+const Invitation = require('../models/Invitation');
+const JoinRequest = require('../models/JoinRequest');
+const ReadState = require('../models/ReadState');
+const NotificationPreference = require('../models/NotificationPreference');
+const Notification = require('../models/Notification');
+const { deleteTopic } = require('../controllers/topicController');
+
+test('deleting a topic removes the records that point at it', async (t) => {
+  const creator = new mongoose.Types.ObjectId();
+  const topic = new Topic({ name: 'General', creator, members: [creator] });
+  t.mock.method(Topic, 'findById', () => query(topic));
+  const findByIdAndDelete = t.mock.method(Topic, 'findByIdAndDelete', async () => topic);
+  const cleanups = [Invitation, JoinRequest, ReadState, NotificationPreference, Notification]
+    .map(Model => t.mock.method(Model, 'deleteMany', async () => ({ deletedCount: 0 })));
+
+  const res = await callController(deleteTopic, {
+    params: { topicId: topic._id.toString() },
+    user: { _id: creator }
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(findByIdAndDelete.mock.callCount(), 1);
+  cleanups.forEach(deleteMany => {
+    assert.deepStrictEqual(deleteMany.mock.calls[0].arguments[0], { topic: topic._id.toString() });
+  });
+});
@@ -0,0 +1,178 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, startServer } = require('./helpers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const { generateSecret, generateCode, hashRecoveryCode } = require('../utils/totp');
+
+let server;
+const secret = generateSecret();
+
+before(async () => {
+  server = await startServer('/api/auth', require('../routes/auth'));
+});
+
+after(() => server.close());
+
+const buildUser = async () => new User({
+  username: 'alice',
+  email: 'alice@example.com',
+  password: await bcrypt.hash('correct horse', 4),
+  twoFactorEnabled: true,
+  twoFactorSecret: secret,
+  twoFactorLastCounter: 0
+});
+
+const currentCode = () => generateCode(secret, Math.floor(Date.now() / 30000));
+
+// A code outside the window of steps the server accepts
+const wrongCode = () => {
+  const counter = Math.floor(Date.now() / 30000);
+  const accepted = [counter - 1, counter, counter + 1].map(step => generateCode(secret, step));
+  return ['000000', '111111', '222222', '333333'].find(code => !accepted.includes(code));
+};
+
+const challengeFor = (user) => jwt.sign(
+  { id: user._id, purpose: 'two-factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m', jwtid: crypto.randomUUID() }
+);
+
+// Stand-in for the atomic updates: second-factor checks succeed, the lastLogin write is recorded.
+// Spent challenges are kept like the unique jti index would.
+const stubUpdates = (t, { codeAccepted = true } = {}) => {
+  const spent = new Set();
+  t.mock.method(RevokedToken, 'exists', async ({ jti }) => (spent.has(jti) ? { _id: jti } : null));
+  t.mock.method(RevokedToken, 'create', async (fields) => {
+    if (spent.has(fields.jti)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    spent.add(fields.jti);
+    return fields;
+  });
+  return t.mock.method(User, 'updateOne', async (filter, update) => ({
+    modifiedCount: update.lastLogin || codeAccepted ? 1 : 0
+  }));
+};
+
+test('a password login for a two-factor account returns a challenge instead of a session', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findOne', () => query(user));
+  const createSession = t.mock.method(Session, 'create', async () => ({}));
+
+  const { status, body } = await server.request('POST', '/login', {
+    body: { email: 'alice@example.com', password: 'correct horse' }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.twoFactorRequired, true);
+  assert.strictEqual(body.token, undefined);
+  const challenge = jwt.verify(body.challengeToken, process.env.JWT_SECRET);
+  assert.strictEqual(challenge.purpose, 'two-factor');
+  assert.ok(challenge.jti);
+  assert.strictEqual(createSession.mock.callCount(), 0);
+});
+
+test('a valid code completes the login and records it', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findById', () => query(user));
+  const updateOne = stubUpdates(t);
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+  t.mock.method(console, 'log', () => {});
+
+  const { status, body } = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken: challengeFor(user), code: currentCode() }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+  assert.strictEqual(body.user.id, user._id.toString());
+  assert.ok(body.user.lastLogin);
+  assert.ok(updateOne.mock.calls.some(call => call.arguments[1].lastLogin instanceof Date));
+});
+
+test('a recovery code completes the login and is marked used', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findById', () => query(user));
+  const updateOne = stubUpdates(t);
+  t.mock.method(Session, 'create', async (fields) => new Session(fields));
+  t.mock.method(console, 'log', () => {});
+
+  const { status } = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken: challengeFor(user), recoveryCode: 'ABCDE-12345' }
+  });
+
+  assert.strictEqual(status, 200);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.strictEqual(filter.recoveryCodes.$elemMatch.codeHash, hashRecoveryCode('abcde12345'));
+  assert.strictEqual(filter.recoveryCodes.$elemMatch.usedAt, null);
+  assert.ok(update.$set['recoveryCodes.$.usedAt'] instanceof Date);
+});
+
+test('a challenge cannot be replayed after it has been answered', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findById', () => query(user));
+  stubUpdates(t);
+  const createSession = t.mock.method(Session, 'create', async (fields) => new Session(fields));
+  t.mock.method(console, 'log', () => {});
+  const challengeToken = challengeFor(user);
+
+  const first = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken, recoveryCode: 'abcde-12345' }
+  });
+  const replay = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken, recoveryCode: 'fghij-67890' }
+  });
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(replay.status, 400);
+  assert.strictEqual(replay.body.message, 'This sign-in attempt has expired, please sign in again');
+  assert.strictEqual(createSession.mock.callCount(), 1);
+});
+
+test('a wrong code does not create a session', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findById', () => query(user));
+  stubUpdates(t);
+  const createSession = t.mock.method(Session, 'create', async () => ({}));
+
+  const { status, body } = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken: challengeFor(user), code: wrongCode() }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.message, 'Invalid verification code');
+  assert.strictEqual(createSession.mock.callCount(), 0);
+});
+
+test('a code that was already used is refused', async (t) => {
+  const user = await buildUser();
+  t.mock.method(User, 'findById', () => query(user));
+  stubUpdates(t, { codeAccepted: false });
+  const createSession = t.mock.method(Session, 'create', async () => ({}));
+
+  const { status } = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken: challengeFor(user), code: currentCode() }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(createSession.mock.callCount(), 0);
+});
+
+test('an access token cannot stand in for the login challenge', async (t) => {
+  const user = await buildUser();
+  const findById = t.mock.method(User, 'findById', () => query(user));
+  const accessToken = jwt.sign({ id: user._id, sid: 'session' }, process.env.JWT_SECRET);
+
+  const { status } = await server.request('POST', '/login/two-factor', {
+    body: { challengeToken: accessToken, code: currentCode() }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(findById.mock.callCount(), 0);
+});
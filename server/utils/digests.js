@@ -0,0 +1,190 @@
+const User = require('../models/User');
+const Topic = require('../models/Topic');
+const Message = require('../models/Message');
+const ReadState = require('../models/ReadState');
+const NotificationPreference = require('../models/NotificationPreference');
+const { effectiveLevel } = require('./notificationPreferences');
+const { sendMail } = require('./mailer');
+
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const CHECK_INTERVAL = Number(process.env.DIGEST_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+const MAX_MENTIONS = 10;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:5173';
+
+const topicLabel = (topic) => (topic.type === 'direct' ? 'a direct conversation' : `#${topic.name}`);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Unread mentions and per-topic activity since `since`, following the user's
+// notification level for each topic. Returns null when there is nothing to report.
+const compileDigest = async (user, since) => {
+  const topics = await Topic.find({ members: user._id }).select('name type');
+  const topicIds = topics.map(topic => topic._id);
+  const [readStates, preferences] = await Promise.all([
+    ReadState.find({ user: user._id, topic: { $in: topicIds } }),
+    NotificationPreference.find({ user: user._id, topic: { $in: topicIds } })
+  ]);
+  const readById = new Map(readStates.map(state => [state.topic.toString(), state.lastReadAt]));
+  const preferenceById = new Map(preferences.map(preference => [preference.topic.toString(), preference]));
+
+  // Only messages newer than both the last digest and the user's read position
+  const ranges = topics
+    .map(topic => {
+      const id = topic._id.toString();
+      const level = effectiveLevel(preferenceById.get(id));
+      const lastReadAt = readById.get(id);
+      const after = lastReadAt && lastReadAt > since ? lastReadAt : since;
+      return { topic, level, range: { topic: topic._id, createdAt: { $gt: after } } };
+    })
+    .filter(entry => entry.level !== 'none');
+
+  if (ranges.length === 0) return null;
+
+  const activityRanges = ranges.filter(entry => entry.level === 'all').map(entry => entry.range);
+  const [counts, mentions] = await Promise.all([
+    activityRanges.length === 0 ? [] : Message.aggregate([
+      { $match: { $or: activityRanges, sender: { $ne: user._id }, inThread: { $ne: true } } },
+      { $group: { _id: '$topic', count: { $sum: 1 } } }
+    ]),
+    Message.find({
+      $or: ranges.map(entry => entry.range),
+      mentions: user._id
+    })
+      .populate('sender', 'username')
+      .sort({ createdAt: -1 })
+      .limit(MAX_MENTIONS)
+  ]);
+
+  const topicById = new Map(topics.map(topic => [topic._id.toString(), topic]));
+  const activity = counts
+    .map(count => ({ topic: topicById.get(count._id.toString()), count: count.count }))
+    .sort((a, b) => b.count - a.count);
+
+  if (activity.length === 0 && mentions.length === 0) return null;
+
+  return {
+    mentions: mentions.map(message => ({
+      topic: topicById.get(message.topic.toString()),
+      sender: message.sender?.username || 'Someone',
+      content: (message.content || 'Sent an attachment').slice(0, 200),
+      createdAt: message.createdAt
+    })),
+    activity
+  };
+};
+
+// Plain text and HTML versions of a digest email
+const renderDigest = (user, digest, frequency) => {
+  const url = `${getClientUrl()}/dashboard`;
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+  const subject = `Your TopicChat ${frequency} digest`;
+
+  const textLines = [`Hi ${user.username}, here is what you missed ${period}.`, ''];
+  if (digest.mentions.length > 0) {
+    textLines.push('Mentions:');
+    digest.mentions.forEach(mention => {
+      textLines.push(`- ${mention.sender} in ${topicLabel(mention.topic)}: ${mention.content}`);
+    });
+    textLines.push('');
+  }
+  if (digest.activity.length > 0) {
+    textLines.push('Activity:');
+    digest.activity.forEach(({ topic, count }) => {
+      textLines.push(`- ${topicLabel(topic)}: ${count} new message${count === 1 ? '' : 's'}`);
+    });
+    textLines.push('');
+  }
+  textLines.push(`Catch up at ${url}`);
+  textLines.push('You can change how often you get these emails in your TopicChat settings.');
+
+  const html = [
+    `<p>Hi ${escapeHtml(user.username)}, here is what you missed ${period}.</p>`,
+    digest.mentions.length > 0 ? `<h3>Mentions</h3><ul>${digest.mentions.map(mention =>
+      `<li><strong>${escapeHtml(mention.sender)}</strong> in ${escapeHtml(topicLabel(mention.topic))}: ${escapeHtml(mention.content)}</li>`
+    ).join('')}</ul>` : '',
+    digest.activity.length > 0 ? `<h3>Activity</h3><ul>${digest.activity.map(({ topic, count }) =>
+      `<li>${escapeHtml(topicLabel(topic))}: ${count} new message${count === 1 ? '' : 's'}</li>`
+    ).join('')}</ul>` : '',
+    `<p><a href="${escapeHtml(url)}">Catch up on TopicChat</a></p>`,
+    '<p style="color:#6b7280;font-size:12px">You can change how often you get these emails in your TopicChat settings.</p>'
+  ].join('');
+
+  return { subject, text: textLines.join('\n'), html };
+};
+
+// Compile and send one user's digest, then move their digest window forward
+const sendDigest = async (user, now = new Date()) => {
+  const period = DIGEST_PERIODS[user.digestFrequency];
+  const since = user.lastDigestSentAt || new Date(now - period);
+  const digest = await compileDigest(user, since);
+
+  if (digest) {
+    await sendMail({ to: user.email, ...renderDigest(user, digest, user.digestFrequency) });
+  }
+
+  await User.updateOne({ _id: user._id }, { lastDigestSentAt: now });
+  return Boolean(digest);
+};
+
+// Send every digest that is due. Users who are online right now are caught up
+// in the app, so they are checked again on the next run.
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const [frequency, period] of Object.entries(DIGEST_PERIODS)) {
+    const users = await User.find({
+      digestFrequency: frequency,
+      isOnline: { $ne: true },
+      $or: [
+        { lastDigestSentAt: null },
+        { lastDigestSentAt: { $lte: new Date(now - period) } }
+      ]
+    }).select('username email digestFrequency lastDigestSentAt');
+
+    for (const user of users) {
+      try {
+        if (await sendDigest(user, now)) sent += 1;
+      } catch (error) {
+        console.error(`Digest error for ${user.username}:`, error);
+      }
+    }
+  }
+
+  return sent;
+};
+
+// Check for due digests on an interval for as long as the server runs
+const startDigestScheduler = () => {
+  const run = async () => {
+    try {
+      const sent = await sendDueDigests();
+      if (sent > 0) {
+        console.log(`📧 Sent ${sent} email digest${sent === 1 ? '' : 's'}`);
+      }
+    } catch (error) {
+      console.error('Digest scheduler error:', error);
+    }
+  };
+
+  const timer = setInterval(run, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DIGEST_PERIODS,
+  compileDigest,
+  renderDigest,
+  sendDigest,
+  sendDueDigests,
+  startDigestScheduler
+};
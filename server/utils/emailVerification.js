@@ -0,0 +1,96 @@
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { generateToken } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000;
+const RESEND_COOLDOWN = 60 * 1000;
+
+// Unverified users can always read; REQUIRE_EMAIL_VERIFICATION=true also stops them posting
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Milliseconds until another verification email may be sent, 0 when it can go now
+const getResendCooldown = async (userId) => {
+  const latest = await EmailVerificationToken.findOne({ user: userId }).sort({ createdAt: -1 });
+  if (!latest) return 0;
+  return Math.max(0, latest.createdAt.getTime() + RESEND_COOLDOWN - Date.now());
+};
+
+// Replace any earlier link of the same kind with a fresh one and return its URL.
+// Links for the current address and for an address change are kept apart.
+const issueVerificationLink = async (userId, email = null) => {
+  await EmailVerificationToken.deleteMany({ user: userId, email: email ? { $ne: null } : null });
+  const { token, tokenHash } = generateToken();
+  await EmailVerificationToken.create({
+    user: userId,
+    email,
+    tokenHash,
+    expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL)
+  });
+
+  return `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify-email?token=${token}`;
+};
+
+// Email a link confirming the user's current address
+const sendVerificationEmail = async (user) => {
+  const verifyUrl = await issueVerificationLink(user._id);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your TopicChat email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm this is your email address by opening the link below (it expires in 24 hours):',
+      verifyUrl,
+      '',
+      'If you did not create a TopicChat account, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${user.username},</p>` +
+      `<p><a href="${verifyUrl}">Confirm your email address</a> (the link expires in 24 hours).</p>` +
+      '<p>If you did not create a TopicChat account, you can ignore this email.</p>'
+  });
+};
+
+// Email the new address a link that moves the account over to it
+const sendEmailChangeVerification = async (user, newEmail) => {
+  const verifyUrl = await issueVerificationLink(user._id, newEmail);
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new TopicChat email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Confirm that you want to use this address for your TopicChat account (the link expires in 24 hours):',
+      verifyUrl,
+      '',
+      'If you did not ask for this, you can ignore this email and nothing will change.'
+    ].join('\n'),
+    html: `<p>Hi ${user.username},</p>` +
+      `<p><a href="${verifyUrl}">Use this address for TopicChat</a> (the link expires in 24 hours).</p>` +
+      '<p>If you did not ask for this, you can ignore this email and nothing will change.</p>'
+  });
+};
+
+// Tell the old address that the account has moved, in case it wasn't the owner
+const sendEmailChangedNotice = async (user, oldEmail) => {
+  await sendMail({
+    to: oldEmail,
+    subject: 'Your TopicChat email address was changed',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `The email address on your TopicChat account is now ${user.email}.`,
+      'If you did not make this change, reset your password and contact support.'
+    ].join('\n'),
+    html: `<p>Hi ${user.username},</p>` +
+      `<p>The email address on your TopicChat account is now <strong>${user.email}</strong>.</p>` +
+      '<p>If you did not make this change, reset your password and contact support.</p>'
+  });
+};
+
+module.exports = {
+  isVerificationRequired,
+  getResendCooldown,
+  sendVerificationEmail,
+  sendEmailChangeVerification,
+  sendEmailChangedNotice
+};
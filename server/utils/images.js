@@ -0,0 +1,25 @@
+const sharp = require('sharp');
+
+// Read the pixel dimensions of an image buffer
+exports.getImageInfo = async (buffer) => {
+  const { width, height, format } = await sharp(buffer).metadata();
+  return { width, height, format };
+};
+
+// Create a WebP thumbnail that fits inside a size x size box
+exports.createThumbnail = (buffer, size = 320) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+};
+
+// Square WebP avatar cropped from the centre of the image
+exports.createAvatar = (buffer, size = 256) => {
+  return sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: 'cover', position: 'centre' })
+    .webp({ quality: 85 })
+    .toBuffer();
+};
@@ -0,0 +1,11 @@
+// Print emails instead of sending them
+exports.send = async (mail) => {
+  console.log('='.repeat(60));
+  console.log(`📧 To: ${mail.to}`);
+  console.log(`📧 Subject: ${mail.subject}`);
+  console.log('-'.repeat(60));
+  console.log(mail.text);
+  console.log('='.repeat(60));
+
+  return { transport: 'console', id: null };
+};
@@ -0,0 +1,18 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '../../../mail');
+
+// Write each email to disk as JSON so it can be inspected in development and tests
+exports.send = async (mail) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const filePath = path.join(MAIL_DIR, `${id}.json`);
+
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify({ ...mail, date: new Date() }, null, 2));
+
+  return { transport: 'file', id, path: filePath };
+};
+
+exports.MAIL_DIR = MAIL_DIR;
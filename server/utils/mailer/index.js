@@ -0,0 +1,31 @@
+const smtpTransport = require('./smtpTransport');
+const fileTransport = require('./fileTransport');
+const consoleTransport = require('./consoleTransport');
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+const isSmtpConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// MAIL_TRANSPORT picks a transport explicitly; otherwise SMTP when a host is
+// configured and the console when it is not
+const getTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT;
+  if (name && transports[name]) return name;
+  return isSmtpConfigured() ? 'smtp' : 'console';
+};
+
+// Send an email with { to, subject, text, html }
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'TopicChat <no-reply@topicchat.local>';
+  return transports[getTransportName()].send({ from, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  getTransportName,
+  isSmtpConfigured
+};
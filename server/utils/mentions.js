@@ -0,0 +1,94 @@
+const User = require('../models/User');
+const { userRoom, emitToUser } = require('./realtime');
+const { createNotification } = require('./notifications');
+const { getEffectiveLevels } = require('./notificationPreferences');
+
+// @username, not preceded by a word character so emails don't count
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+
+// Broadcast mentions reach every member (@all) or every online member (@here)
+const BROADCAST_MENTIONS = ['all', 'here'];
+
+const extractMentionNames = (content) => {
+  const names = new Set();
+  for (const match of (content || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+  }
+  return [...names];
+};
+
+const isOnline = (io, userId) => {
+  return io.sockets.adapter.rooms.has(userRoom(userId.toString()));
+};
+
+// Resolve the members a message mentions; only topic admins may use @here/@all
+const resolveMentions = async (io, content, topic, sender) => {
+  const names = extractMentionNames(content);
+  if (names.length === 0) return [];
+
+  const senderId = sender._id.toString();
+  const memberIds = topic.members
+    .map(member => (member._id || member).toString())
+    .filter(memberId => memberId !== senderId);
+  const mentioned = new Set();
+
+  if (topic.isAdmin(sender._id)) {
+    if (names.includes('all')) {
+      memberIds.forEach(memberId => mentioned.add(memberId));
+    } else if (names.includes('here')) {
+      memberIds.filter(memberId => isOnline(io, memberId)).forEach(memberId => mentioned.add(memberId));
+    }
+  }
+
+  const usernames = names.filter(name => !BROADCAST_MENTIONS.includes(name));
+  if (usernames.length > 0) {
+    const members = await User.find({ _id: { $in: memberIds } }).select('_id username');
+    members
+      .filter(member => usernames.includes(member.username.toLowerCase()))
+      .forEach(member => mentioned.add(member._id.toString()));
+  }
+
+  return [...mentioned];
+};
+
+// Tell mentioned users about the message wherever they are in the app, and keep
+// a notification they can review later. Users who silenced the topic hear nothing.
+// Edits pass just the users they added so nobody is notified twice.
+const emitMentions = async (io, message, topic, recipientIds = message.mentions || []) => {
+  const mentionedIds = recipientIds.map(userId => userId.toString());
+  if (mentionedIds.length === 0) return;
+
+  let levels;
+  try {
+    levels = await getEffectiveLevels(topic._id, mentionedIds);
+  } catch (error) {
+    console.error('Mention notification error:', error);
+    return;
+  }
+
+  mentionedIds.filter(userId => levels.get(userId) !== 'none').forEach(userId => {
+    emitToUser(io, userId, 'mentioned', {
+      message,
+      topic: {
+        _id: topic._id,
+        name: topic.name,
+        type: topic.type
+      }
+    });
+
+    createNotification(io, {
+      recipient: userId,
+      actor: message.sender,
+      type: 'mention',
+      topic,
+      message
+    });
+  });
+};
+
+module.exports = {
+  BROADCAST_MENTIONS,
+  extractMentionNames,
+  resolveMentions,
+  emitMentions
+};
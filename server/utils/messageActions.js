@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Topic = require('../models/Topic');
+const { removeStoredFile } = require('./storage');
+const { notifyReaction } = require('./notifications');
+const { resolveMentions, emitMentions } = require('./mentions');
+
+// Authors may edit their messages for 15 minutes after sending
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const canStillEdit = (message) => {
+  return message.createdAt >= new Date(Date.now() - EDIT_WINDOW_MS);
+};
+
+// The message a reply points at, or null unless it exists in the same topic;
+// otherwise a reply could quote a message from a topic the sender can't read.
+// Threads are one level deep, so replies inside a thread can't be replied to.
+const findReplyParent = async (replyTo, topicId) => {
+  if (!mongoose.isValidObjectId(replyTo)) return null;
+  const parent = await Message.findById(replyTo);
+  if (!parent || !parent.topic.equals(topicId) || parent.inThread) return null;
+  return parent;
+};
+
+// Save new content, keep the old revision and broadcast the edit to the topic room.
+// Mentions follow the new content; only people it newly mentions are notified.
+const updateMessageContent = async (io, message, topic, content, editor) => {
+  const editedAt = new Date();
+  const mentions = await resolveMentions(io, content, topic, editor);
+  const previousMentions = (message.mentions || []).map(userId => userId.toString());
+
+  const updatedMessage = await Message.findByIdAndUpdate(
+    message._id,
+    {
+      $set: { content, mentions, isEdited: true, editedAt },
+      $push: {
+        editHistory: {
+          content: message.content,
+          writtenAt: message.editedAt || message.createdAt,
+          replacedAt: editedAt,
+          editedBy: editor._id
+        }
+      }
+    },
+    { new: true }
+  ).populate('sender', 'username displayName avatar');
+
+  io.in(updatedMessage.topic.toString()).emit('message-edited', {
+    messageId: updatedMessage._id.toString(),
+    topicId: updatedMessage.topic.toString(),
+    content: updatedMessage.content,
+    mentions: updatedMessage.mentions,
+    isEdited: updatedMessage.isEdited,
+    editedAt: updatedMessage.editedAt
+  });
+
+  emitMentions(io, updatedMessage, topic, mentions.filter(userId => !previousMentions.includes(userId)));
+
+  return updatedMessage;
+};
+
+// Add the user's emoji reaction, or take it back if it is already there,
+// and broadcast the new reactions to the topic room
+const toggleReaction = async (io, message, user, emoji) => {
+  const userId = user._id.toString();
+  const existingReaction = message.reactions.find(
+    r => r.user.toString() === userId && r.emoji === emoji
+  );
+
+  if (existingReaction) {
+    message.reactions = message.reactions.filter(
+      r => !(r.user.toString() === userId && r.emoji === emoji)
+    );
+  } else {
+    message.reactions.push({ user: user._id, emoji });
+    notifyReaction(io, message, user._id, emoji);
+  }
+
+  await message.save();
+  await message.populate('reactions.user', 'username');
+
+  io.in(message.topic.toString()).emit('message-reaction-updated', {
+    messageId: message._id.toString(),
+    reactions: message.reactions
+  });
+
+  return message.reactions;
+};
+
+// Delete a message with its files, pin and thread, then broadcast the removal
+const removeMessage = async (io, message, topic, deletedBy) => {
+  const messageId = message._id.toString();
+  const topicId = topic._id.toString();
+
+  await Message.findByIdAndDelete(message._id);
+
+  // Thread replies are only reachable through their parent, so they go with it
+  const threadReplies = await Message.find({ replyTo: message._id, inThread: true }).select('attachment');
+  const threadReplyIds = threadReplies.map(reply => reply._id);
+  if (threadReplyIds.length > 0) {
+    await Message.deleteMany({ _id: { $in: threadReplyIds } });
+
+    const pinnedReplyIds = threadReplyIds.filter(id => topic.pinnedMessages.some(pinned => pinned.equals(id)));
+    if (pinnedReplyIds.length > 0) {
+      await Topic.updateOne({ _id: topic._id }, { $pull: { pinnedMessages: { $in: pinnedReplyIds } } });
+      pinnedReplyIds.forEach(id => {
+        io.in(topicId).emit('message-unpinned', {
+          topicId,
+          messageId: id.toString(),
+          unpinnedBy: { id: deletedBy._id, username: deletedBy.username }
+        });
+      });
+    }
+  }
+
+  // Clean up stored attachment files, including those of the thread's replies
+  for (const { attachment } of [message, ...threadReplies]) {
+    if (!attachment?.key) continue;
+    try {
+      await removeStoredFile(attachment.storage, attachment.key);
+      await removeStoredFile(attachment.storage, attachment.thumbnailKey);
+    } catch (storageError) {
+      console.error('Attachment cleanup error:', storageError.message);
+    }
+  }
+
+  // Drop the message from the topic's pins
+  if (topic.pinnedMessages.some(id => id.toString() === messageId)) {
+    await Topic.updateOne({ _id: topic._id }, { $pull: { pinnedMessages: message._id } });
+    io.in(topicId).emit('message-unpinned', {
+      topicId,
+      messageId,
+      unpinnedBy: { id: deletedBy._id, username: deletedBy.username }
+    });
+  }
+
+  const payload = {
+    messageId,
+    topicId,
+    deletedBy: { id: deletedBy._id, username: deletedBy.username }
+  };
+
+  // Replies also refresh their parent's thread summary
+  if (message.replyTo) {
+    const [replyCount, lastReply] = await Promise.all([
+      Message.countDocuments({ replyTo: message.replyTo }),
+      Message.findOne({ replyTo: message.replyTo }).sort({ createdAt: -1 }).select('createdAt')
+    ]);
+
+    payload.parentId = message.replyTo.toString();
+    payload.replyCount = replyCount;
+    payload.lastReplyAt = lastReply ? lastReply.createdAt : null;
+  }
+
+  io.in(topicId).emit('message-deleted', payload);
+};
+
+module.exports = {
+  EDIT_WINDOW_MS,
+  canStillEdit,
+  findReplyParent,
+  toggleReaction,
+  updateMessageContent,
+  removeMessage
+};
@@ -0,0 +1,62 @@
+const NotificationPreference = require('../models/NotificationPreference');
+
+const MUTE_DURATIONS = {
+  '1h': 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  indefinite: null
+};
+
+const DEFAULT_PREFERENCE = { level: 'all', muted: false, mutedUntil: null };
+
+const isMuted = (preference) => {
+  if (!preference?.muted) return false;
+  return !preference.mutedUntil || preference.mutedUntil > new Date();
+};
+
+// An active mute behaves like "nothing" until it expires
+const effectiveLevel = (preference) => {
+  if (isMuted(preference)) return 'none';
+  return preference?.level || 'all';
+};
+
+// Plain settings for the client, with expired mutes already cleared
+const serializePreference = (preference) => {
+  if (!preference) return { ...DEFAULT_PREFERENCE };
+  const muted = isMuted(preference);
+  return {
+    level: preference.level,
+    muted,
+    mutedUntil: muted ? preference.mutedUntil : null
+  };
+};
+
+// Effective level for each of the given users in a topic
+const getEffectiveLevels = async (topicId, userIds) => {
+  const preferences = await NotificationPreference.find({
+    topic: topicId,
+    user: { $in: userIds }
+  });
+  const byUser = new Map(preferences.map(preference => [preference.user.toString(), preference]));
+
+  return new Map(userIds.map(userId => {
+    const id = userId.toString();
+    return [id, effectiveLevel(byUser.get(id))];
+  }));
+};
+
+// Which message-driven notifications a level lets through. Mentions and replies are
+// addressed to the user, so only "nothing" silences them; reactions need "all".
+const allowsNotification = (level, type) => {
+  if (type === 'mention' || type === 'reply') return level !== 'none';
+  if (type === 'reaction') return level === 'all';
+  return true;
+};
+
+module.exports = {
+  MUTE_DURATIONS,
+  isMuted,
+  effectiveLevel,
+  serializePreference,
+  getEffectiveLevels,
+  allowsNotification
+};
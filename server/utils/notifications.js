@@ -0,0 +1,96 @@
+const Notification = require('../models/Notification');
+const { emitToUser } = require('./realtime');
+const { getEffectiveLevels, allowsNotification } = require('./notificationPreferences');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const countUnread = (userId) => {
+  return Notification.countDocuments({ recipient: userId, read: false });
+};
+
+// Populate a notification the same way the inbox lists them
+const populateNotification = (query) => {
+  return query
+    .populate('actor', 'username avatar')
+    .populate('topic', 'name type isPrivate')
+    .populate('message', 'content messageType inThread replyTo topic');
+};
+
+// Store a notification and push it to the recipient's personal room. Failures are
+// logged rather than thrown so they never break the action that caused them.
+const createNotification = async (io, { recipient, actor, type, topic, message, invitation, data = {} }) => {
+  if (!recipient || idOf(recipient) === idOf(actor)) return null;
+
+  try {
+    // Respect the recipient's settings for the topic the activity happened in
+    if (topic) {
+      const levels = await getEffectiveLevels(idOf(topic), [idOf(recipient)]);
+      if (!allowsNotification(levels.get(idOf(recipient)), type)) return null;
+    }
+
+    const notification = await Notification.create({
+      recipient: idOf(recipient),
+      actor: idOf(actor),
+      type,
+      topic: idOf(topic),
+      message: idOf(message),
+      invitation: idOf(invitation),
+      data
+    });
+
+    const populated = await populateNotification(Notification.findById(notification._id));
+    emitToUser(io, recipient, 'notification', {
+      notification: populated,
+      unreadCount: await countUnread(recipient)
+    });
+    return populated;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+// Let the author of a message know someone answered it, unless they were already mentioned
+const notifyReply = async (io, reply, parent) => {
+  const parentSender = idOf(parent.sender);
+  const alreadyMentioned = (reply.mentions || []).some(userId => idOf(userId) === parentSender);
+  if (alreadyMentioned) return null;
+
+  return createNotification(io, {
+    recipient: parentSender,
+    actor: reply.sender,
+    type: 'reply',
+    topic: reply.topic,
+    message: reply,
+    data: { inThread: Boolean(reply.inThread) }
+  });
+};
+
+// Let the author know about a reaction, once per person and message, so
+// toggling a reaction on and off doesn't notify them every time
+const notifyReaction = async (io, message, actor, emoji) => {
+  const alreadyNotified = await Notification.exists({
+    recipient: idOf(message.sender),
+    actor: idOf(actor),
+    message: idOf(message),
+    type: 'reaction'
+  });
+  if (alreadyNotified) return null;
+
+  return createNotification(io, {
+    recipient: message.sender,
+    actor,
+    type: 'reaction',
+    topic: message.topic,
+    message,
+    data: { emoji }
+  });
+};
+
+module.exports = {
+  countUnread,
+  populateNotification,
+  createNotification,
+  notifyReply,
+  notifyReaction
+};
@@ -0,0 +1,49 @@
+const User = require('../models/User');
+const Topic = require('../models/Topic');
+const { userRoom } = require('./realtime');
+
+const hasOpenSockets = (io, userId) => {
+  return io.sockets.adapter.rooms.has(userRoom(userId.toString()));
+};
+
+// Tell every topic the user belongs to that they came online or went away
+const broadcastPresence = async (io, user, isOnline, lastSeen) => {
+  const topicIds = await Topic.find({ members: user._id }).distinct('_id');
+  if (topicIds.length === 0) return;
+
+  io.to(topicIds.map(topicId => topicId.toString())).emit('user-presence-changed', {
+    user: { id: user._id, username: user.username },
+    isOnline,
+    lastSeen
+  });
+};
+
+// Mark a user online when their first socket connects
+const markOnline = async (io, user) => {
+  const previous = await User.findByIdAndUpdate(user._id, { isOnline: true });
+  if (previous && !previous.isOnline) {
+    await broadcastPresence(io, user, true, previous.lastSeen);
+  }
+};
+
+// Record when the user was last seen and, once no socket of theirs is left,
+// mark them offline. Only the update that flips the flag broadcasts it.
+const markOffline = async (io, user) => {
+  const lastSeen = new Date();
+  if (hasOpenSockets(io, user._id)) {
+    await User.updateOne({ _id: user._id }, { lastSeen });
+    return false;
+  }
+
+  const previous = await User.findByIdAndUpdate(user._id, { isOnline: false, lastSeen });
+  if (previous?.isOnline) {
+    await broadcastPresence(io, user, false, lastSeen);
+  }
+  return true;
+};
+
+module.exports = {
+  hasOpenSockets,
+  markOnline,
+  markOffline
+};
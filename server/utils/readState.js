@@ -0,0 +1,173 @@
+const ReadState = require('../models/ReadState');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+const { effectiveLevel, serializePreference } = require('./notificationPreferences');
+const { emitToUser } = require('./realtime');
+
+const isMemberOf = (topic, userId) => {
+  return topic.members.some(member => (member._id || member).toString() === userId.toString());
+};
+
+// Attach unread and mention counts (plus the read position and notification
+// settings) to each topic the user belongs to
+const attachUnreadCounts = async (topics, userId) => {
+  const memberTopics = topics.filter(topic => isMemberOf(topic, userId));
+  const memberTopicIds = memberTopics.map(topic => topic._id);
+  const [readStates, preferences] = await Promise.all([
+    ReadState.find({ user: userId, topic: { $in: memberTopicIds } }),
+    NotificationPreference.find({ user: userId, topic: { $in: memberTopicIds } })
+  ]);
+  const readById = new Map(readStates.map(state => [state.topic.toString(), state]));
+  const preferenceById = new Map(preferences.map(preference => [preference.topic.toString(), preference]));
+
+  // Joining creates a read state, so only memberships from before that have none;
+  // for those everything counts as unread
+  const unreadRanges = memberTopics.map(topic => {
+    const readState = readById.get(topic._id.toString());
+    return readState
+      ? { topic: topic._id, createdAt: { $gt: readState.lastReadAt } }
+      : { topic: topic._id };
+  });
+
+  const counts = unreadRanges.length === 0 ? [] : await Message.aggregate([
+    { $match: { $or: unreadRanges, sender: { $ne: userId } } },
+    {
+      $group: {
+        _id: '$topic',
+        // Thread replies stay out of the timeline, but mentions in them still count
+        unreadCount: { $sum: { $cond: [{ $eq: ['$inThread', true] }, 0, 1] } },
+        mentionCount: { $sum: { $cond: [{ $in: [userId, { $ifNull: ['$mentions', []] }] }, 1, 0] } }
+      }
+    }
+  ]);
+  const countsById = new Map(counts.map(count => [count._id.toString(), count]));
+
+  return topics.map(topic => {
+    const id = topic._id.toString();
+    const count = countsById.get(id);
+    const preference = preferenceById.get(id);
+    // "Mentions only" keeps just the mention badge; "nothing" and mutes hide both
+    const level = effectiveLevel(preference);
+    return {
+      ...(topic.toObject ? topic.toObject() : topic),
+      unreadCount: count && level === 'all' ? count.unreadCount : 0,
+      mentionCount: count && level !== 'none' ? count.mentionCount : 0,
+      lastReadAt: readById.get(id)?.lastReadAt || null,
+      notificationPreference: serializePreference(preference)
+    };
+  });
+};
+
+// Start members' read positions at the moment they join, so the topic's earlier
+// history doesn't show up as unread. Existing positions are left alone.
+const startReadStates = async (topicId, userIds) => {
+  if (userIds.length === 0) return;
+  const joinedAt = new Date();
+  await ReadState.bulkWrite(userIds.map(userId => ({
+    updateOne: {
+      filter: { topic: topicId, user: userId },
+      update: { $setOnInsert: { lastReadAt: joinedAt } },
+      upsert: true
+    }
+  })));
+};
+
+// The user's read position in a topic, or null if they have never opened it
+const getLastReadAt = async (topicId, userId) => {
+  const readState = await ReadState.findOne({ topic: topicId, user: userId });
+  return readState ? readState.lastReadAt : null;
+};
+
+// Read positions of the other members who share read receipts and have opened the topic
+const getReadReceipts = async (topic, viewerId) => {
+  const sharingMembers = await User.find({
+    _id: {
+      $in: topic.members.filter(member => (member._id || member).toString() !== viewerId.toString())
+    },
+    shareReadReceipts: { $ne: false }
+  }).select('_id');
+
+  const readStates = await ReadState.find({
+    topic: topic._id,
+    user: { $in: sharingMembers.map(member => member._id) },
+    seenAt: { $ne: null }
+  }).populate('user', 'username avatar');
+
+  return readStates.map(state => ({
+    user: state.user,
+    lastReadAt: state.seenAt
+  }));
+};
+
+// Tell a topic room how far a user has read; a null lastReadAt withdraws the receipt
+const emitReadReceipt = (io, topicId, user, lastReadAt) => {
+  io.in(topicId.toString()).emit('read-receipt-updated', {
+    topicId: topicId.toString(),
+    user: { _id: user._id, username: user.username, avatar: user.avatar },
+    lastReadAt
+  });
+};
+
+// Move the read position forward (never back), tell the user's other tabs and,
+// unless they opted out, show the new receipt to the room
+const markRead = async (io, topicId, user, message = null) => {
+  const readAt = message ? message.createdAt : new Date();
+  const update = { $max: { lastReadAt: readAt, seenAt: readAt } };
+  if (message) {
+    update.$set = { lastReadMessage: message._id };
+  }
+
+  const readState = await ReadState.findOneAndUpdate(
+    { topic: topicId, user: user._id },
+    update,
+    { new: true, upsert: true, setDefaultsOnInsert: false }
+  );
+
+  emitToUser(io, user._id, 'topic-read', {
+    topicId: topicId.toString(),
+    lastReadAt: readState.lastReadAt
+  });
+
+  if (user.shareReadReceipts !== false) {
+    emitReadReceipt(io, topicId, user, readState.seenAt);
+  }
+
+  return readState;
+};
+
+// Mark every listed topic as read up to now
+const markAllRead = async (io, topicIds, user) => {
+  const readAt = new Date();
+  if (topicIds.length > 0) {
+    await ReadState.bulkWrite(topicIds.map(topicId => ({
+      updateOne: {
+        filter: { topic: topicId, user: user._id },
+        update: { $max: { lastReadAt: readAt, seenAt: readAt } },
+        upsert: true,
+        setDefaultsOnInsert: false
+      }
+    })));
+  }
+
+  emitToUser(io, user._id, 'topics-read', {
+    topicIds: topicIds.map(topicId => topicId.toString()),
+    lastReadAt: readAt
+  });
+
+  if (user.shareReadReceipts !== false) {
+    topicIds.forEach(topicId => emitReadReceipt(io, topicId, user, readAt));
+  }
+
+  return readAt;
+};
+
+module.exports = {
+  attachUnreadCounts,
+  startReadStates,
+  getLastReadAt,
+  getReadReceipts,
+  emitReadReceipt,
+  markRead,
+  markAllRead
+};
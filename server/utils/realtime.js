@@ -0,0 +1,81 @@
+const Message = require('../models/Message');
+const { getEffectiveLevels } = require('./notificationPreferences');
+
+// Every socket joins a personal room so users can be reached outside topic rooms
+const userRoom = (userId) => `user:${userId}`;
+
+// Sockets also join a room for the session they authenticated with, so revoking
+// a session can disconnect just that device
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const emitToUser = (io, userId, event, data) => {
+  io.to(userRoom(userId.toString())).emit(event, data);
+};
+
+// Direct conversations live in the sidebar, so members hear about new messages
+// even when the conversation isn't open
+const emitConversationActivity = (io, topic, message) => {
+  if (topic.type !== 'direct') return;
+
+  topic.members.forEach(member => {
+    emitToUser(io, member._id || member, 'conversation-activity', {
+      conversationId: topic._id.toString(),
+      message
+    });
+  });
+};
+
+// Members only sit in the room of the topic they have open, so unread counts for
+// every other topic are driven by this per-user event. Only members who want to
+// hear about every message get it; mentions reach the rest separately.
+const emitUnreadActivity = async (io, topic, message) => {
+  const senderId = (message.sender._id || message.sender).toString();
+  const memberIds = topic.members
+    .map(member => (member._id || member).toString())
+    .filter(memberId => memberId !== senderId);
+
+  let levels;
+  try {
+    levels = await getEffectiveLevels(topic._id, memberIds);
+  } catch (error) {
+    console.error('Unread activity error:', error);
+    return;
+  }
+
+  memberIds
+    .filter(memberId => levels.get(memberId) === 'all')
+    .forEach(memberId => {
+      emitToUser(io, memberId, 'unread-activity', {
+        topicId: topic._id.toString(),
+        messageId: message._id.toString(),
+        createdAt: message.createdAt,
+        // Enough to describe the message in a desktop notification
+        preview: {
+          sender: message.sender.username,
+          content: (message.content || '').slice(0, 120),
+          messageType: message.messageType
+        }
+      });
+    });
+};
+
+// Broadcast a thread reply together with the parent's refreshed reply stats
+const emitThreadReply = async (io, parentId, reply) => {
+  const replyCount = await Message.countDocuments({ replyTo: parentId });
+
+  io.in(reply.topic.toString()).emit('thread-reply', {
+    parentId: parentId.toString(),
+    message: reply,
+    replyCount,
+    lastReplyAt: reply.createdAt
+  });
+};
+
+module.exports = {
+  userRoom,
+  sessionRoom,
+  emitToUser,
+  emitConversationActivity,
+  emitUnreadActivity,
+  emitThreadReply
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('./tokens');
+const { sessionRoom } = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+// Two tabs may refresh with the same token at once; only later reuse looks like theft
+const REUSE_GRACE_PERIOD = 60 * 1000;
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    // The JWT id lets a single access token be revoked on logout
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+};
+
+const describeClient = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+// Start a session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const { token: refreshToken, tokenHash } = generateToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  return {
+    session,
+    token: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Swap a refresh token for a new access token and a new refresh token.
+// Failures come back as { error, status } for the route to send.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const { token: nextRefreshToken, tokenHash: nextHash } = generateToken();
+  const now = new Date();
+
+  // Matching on the current hash makes concurrent rotations of the same token exclusive
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: nextHash,
+      previousRefreshTokenHash: tokenHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+      ...describeClient(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const rotated = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (rotated && now - rotated.rotatedAt < REUSE_GRACE_PERIOD) {
+      return { error: 'Refresh token was already used', status: 409 };
+    }
+    // An old refresh token coming back means it was copied; end that session
+    if (rotated) {
+      await Session.deleteOne({ _id: rotated._id });
+      console.log(`⚠️ Refresh token reuse detected, session ${rotated._id} revoked`);
+    }
+    return { error: 'Invalid refresh token', status: 401 };
+  }
+
+  return {
+    session,
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+// Sessions for the device list, newest activity first
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+});
+
+// End sessions and drop any sockets connected with them
+const revokeSessions = async (io, filter) => {
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.deleteMany({ _id: { $in: sessions.map(session => session._id) } });
+  sessions.forEach(session => {
+    io.in(sessionRoom(session._id.toString())).disconnectSockets(true);
+  });
+  return sessions.length;
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  serializeSession,
+  revokeSessions
+};
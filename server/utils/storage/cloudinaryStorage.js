@@ -0,0 +1,49 @@
+const cloudinary = require('cloudinary').v2;
+
+let configured = false;
+
+const ensureConfigured = () => {
+  if (configured) return;
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+  configured = true;
+};
+
+// Upload a buffer to Cloudinary; the key keeps the resource type needed for deletion
+exports.save = (buffer, { folder }) => {
+  ensureConfigured();
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `topicchat/${folder}`,
+        resource_type: 'auto'
+      },
+      (error, result) => {
+        if (error) return reject(error);
+
+        resolve({
+          storage: 'cloudinary',
+          key: `${result.resource_type}/${result.public_id}`,
+          url: result.secure_url
+        });
+      }
+    );
+
+    uploadStream.end(buffer);
+  });
+};
+
+exports.remove = async (key) => {
+  ensureConfigured();
+
+  const [resourceType, ...publicIdParts] = key.split('/');
+  await cloudinary.uploader.destroy(publicIdParts.join('/'), {
+    resource_type: resourceType
+  });
+};
@@ -0,0 +1,33 @@
+const localStorage = require('./localStorage');
+const cloudinaryStorage = require('./cloudinaryStorage');
+
+const backends = {
+  local: localStorage,
+  cloudinary: cloudinaryStorage
+};
+
+const isCloudinaryConfigured = () => {
+  return Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+};
+
+// Cloudinary when credentials are present, local disk otherwise
+const getStorage = () => {
+  return isCloudinaryConfigured() ? cloudinaryStorage : localStorage;
+};
+
+// Remove a stored file using the backend it was saved with
+const removeStoredFile = async (storage, key) => {
+  const backend = backends[storage];
+  if (!backend || !key) return;
+  await backend.remove(key);
+};
+
+module.exports = {
+  getStorage,
+  removeStoredFile,
+  isCloudinaryConfigured
+};
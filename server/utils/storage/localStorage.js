@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+
+const getPublicUrl = () => {
+  return process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`;
+};
+
+// The extension comes from the validated type, never from the client's file name,
+// so an upload can't choose how it is served back (e.g. as .html)
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/zip': '.zip',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx'
+};
+
+const INLINE_EXTENSIONS = ['.jpg', '.png', '.gif', '.webp'];
+
+// Store a buffer on local disk; files are served statically from /uploads.
+// The random part of the name keeps URLs of private attachments unguessable.
+exports.save = async (buffer, { folder, mimeType }) => {
+  const extension = EXTENSIONS[mimeType] || '.bin';
+  const storedName = `${Date.now()}-${crypto.randomBytes(16).toString('hex')}${extension}`;
+  const key = path.posix.join(folder, storedName);
+  const filePath = path.join(UPLOAD_DIR, key);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    storage: 'local',
+    key,
+    url: `${getPublicUrl()}/uploads/${key}`
+  };
+};
+
+exports.remove = async (key) => {
+  const filePath = path.join(UPLOAD_DIR, key);
+
+  // Never delete anything outside the upload directory
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+
+  await fs.rm(filePath, { force: true });
+};
+
+// Headers for serving stored files: only images may render inline, everything
+// else downloads, and browsers must not guess a different content type
+exports.setServeHeaders = (res, filePath) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (!INLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    res.setHeader('Content-Disposition', 'attachment');
+  }
+};
+
+exports.UPLOAD_DIR = UPLOAD_DIR;
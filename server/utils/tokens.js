@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Only a hash of each one-time token is stored, so a database leak cannot be used to redeem them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A random URL-safe token together with the hash to store for it
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  generateToken
+};